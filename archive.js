@@ -0,0 +1,220 @@
+/**
+ * Gallery image archives on local disk.
+ *
+ * Each archive downloads a listing's gallery at one resolution into DATA_DIR/archives/<archiveId>
+ * together with a manifest.json recording the hash, size and real pixel dimensions of every image.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const { imageSize } = require('image-size');
+const store = require('./store');
+const cache = require('./cache');
+const { mapWithConcurrency } = require('./concurrency');
+const { MIN_IMAGE_WIDTH, MAX_IMAGE_WIDTH, buildImageUrl } = require('./gallery');
+
+const DEFAULT_RESOLUTION = 1200;
+
+const getConcurrency = () => parseInt(process.env.ARCHIVE_CONCURRENCY) || 4;
+const getRetries = () => parseInt(process.env.ARCHIVE_RETRIES) || 3;
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/gif': 'gif'
+};
+
+/**
+ * Validate a requested resolution: an im_w width in pixels or "original".
+ * Returns { error } or { resolution }.
+ */
+const parseResolution = (resolution) => {
+  if (resolution === undefined || resolution === null) {
+    return { resolution: DEFAULT_RESOLUTION };
+  }
+  if (resolution === 'original') {
+    return { resolution };
+  }
+
+  const parsed = parseInt(resolution);
+  if (isNaN(parsed) || parsed < MIN_IMAGE_WIDTH || parsed > MAX_IMAGE_WIDTH) {
+    return { error: `Invalid resolution. Must be "original" or a width between ${MIN_IMAGE_WIDTH} and ${MAX_IMAGE_WIDTH}.` };
+  }
+  return { resolution: parsed };
+};
+
+const isArchiveId = (archiveId) => /^\d+-\d+$/.test(String(archiveId));
+
+const archiveDir = (archiveId) => store.dataPath(path.join('archives', archiveId));
+
+const manifestName = (archiveId) => `archives/${archiveId}/manifest.json`;
+
+/**
+ * Fetch an image, retrying network errors, 429 and 5xx responses with exponential backoff
+ * (1s, 2s, 4s, ...). Other error statuses, such as 403 or 404, will not change and fail at once.
+ */
+const fetchImage = async (url, { signal } = {}) => {
+  const retries = getRetries();
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      const delay = 1000 * 2 ** (attempt - 1);
+      console.log(`Retrying ${url} in ${delay}ms (attempt ${attempt + 1}/${retries + 1})`);
+      // Cancelling during the backoff ends the wait
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, delay);
+        signal?.addEventListener('abort', () => {
+          clearTimeout(timer);
+          resolve();
+        }, { once: true });
+      });
+    }
+    if (signal?.aborted) throw new Error('Archive cancelled');
+
+    try {
+      const response = await fetch(url, { signal });
+      if (!response.ok) {
+        const error = new Error(`HTTP ${response.status}`);
+        error.retryable = response.status === 429 || response.status >= 500;
+        throw error;
+      }
+      const buffer = Buffer.from(await response.arrayBuffer());
+      return { buffer, contentType: (response.headers.get('content-type') || '').split(';')[0].trim() };
+    } catch (error) {
+      lastError = error;
+      if (error.retryable === false) {
+        throw new Error(`Download failed: ${error.message}`);
+      }
+    }
+  }
+
+  throw new Error(`Download failed after ${retries + 1} attempts: ${lastError.message}`);
+};
+
+/**
+ * Read real pixel dimensions from the image bytes. Returns nulls for unknown formats.
+ */
+const readDimensions = (buffer) => {
+  try {
+    const { width, height } = imageSize(buffer);
+    return { width, height };
+  } catch (error) {
+    return { width: null, height: null };
+  }
+};
+
+/**
+ * Scrape a listing (through the cache) and download its gallery into a new archive
+ *
+ * Options: resolution plus every listing scrape option (useProxy, maxImages, imageFilter, cache, signal, owner)
+ */
+const createArchive = async (listingUrl, options = {}) => {
+  const { resolution = DEFAULT_RESOLUTION, ...scrapeOptions } = options;
+  const result = await cache.scrapeListing(listingUrl, scrapeOptions);
+
+  const listingId = cache.getCacheKey(listingUrl).listingId;
+  const archiveId = `${listingId}-${Date.now()}`;
+  const dir = archiveDir(archiveId);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const gallery = result.data.gallery;
+  console.log(`Archiving ${gallery.length} images for listing ${listingId} at ${resolution}`);
+
+  const failures = [];
+  const downloads = await mapWithConcurrency(gallery, getConcurrency(), async (image, index) => {
+    const sourceUrl = buildImageUrl(image.url, resolution);
+    try {
+      const { buffer, contentType } = await fetchImage(sourceUrl, { signal: options.signal });
+      const file = `${String(index + 1).padStart(3, '0')}.${EXTENSIONS[contentType] || 'jpg'}`;
+      fs.writeFileSync(path.join(dir, file), buffer);
+
+      return {
+        index,
+        file,
+        sourceUrl,
+        roomType: image.roomType || null,
+        category: image.category || null,
+        alt: image.alt || '',
+        sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+        bytes: buffer.length,
+        ...readDimensions(buffer),
+        contentType: contentType || null
+      };
+    } catch (error) {
+      console.log(`Failed to archive image ${index + 1}: ${error.message}`);
+      failures.push({ index, sourceUrl, error: error.message });
+      return null;
+    }
+  }, { signal: options.signal });
+
+  if (options.signal?.aborted) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw new Error('Archive cancelled');
+  }
+
+  const images = downloads.filter(Boolean);
+  const manifest = {
+    archiveId,
+    listingId,
+    url: result.url,
+    title: result.data.title,
+    createdAt: new Date().toISOString(),
+    resolution,
+    totalImages: gallery.length,
+    downloaded: images.length,
+    failed: failures.length,
+    totalBytes: images.reduce((sum, image) => sum + image.bytes, 0),
+    images,
+    failures: failures.sort((a, b) => a.index - b.index)
+  };
+  store.writeJson(manifestName(archiveId), manifest);
+
+  return manifest;
+};
+
+/**
+ * Load an archive manifest, or null if there is no such archive
+ */
+const getArchive = (archiveId) => {
+  if (!isArchiveId(archiveId)) return null;
+  return store.readJson(manifestName(archiveId), null);
+};
+
+/**
+ * Stream an archive as a ZIP (images plus manifest.json) into a writable stream.
+ * Rejects, without finishing the ZIP, when a file cannot be read.
+ */
+const streamZip = (manifest, output) => {
+  const dir = archiveDir(manifest.archiveId);
+  // Images are already compressed, so store them as-is
+  const zip = archiver('zip', { store: true });
+
+  return new Promise((resolve, reject) => {
+    zip.on('error', reject);
+    // archiver only warns about a missing file, which would leave the ZIP silently incomplete
+    zip.on('warning', reject);
+    output.on('close', resolve);
+    output.on('finish', resolve);
+
+    zip.pipe(output);
+    manifest.images.forEach(image => zip.file(path.join(dir, image.file), { name: image.file }));
+    zip.file(path.join(dir, 'manifest.json'), { name: 'manifest.json' });
+    zip.finalize().catch(reject);
+  }).catch(error => {
+    zip.abort();
+    throw error;
+  });
+};
+
+module.exports = {
+  DEFAULT_RESOLUTION,
+  parseResolution,
+  createArchive,
+  getArchive,
+  streamZip
+};
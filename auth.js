@@ -0,0 +1,360 @@
+/**
+ * API key authentication, per-minute rate limits and monthly scrape quotas.
+ *
+ * Keys come from two places: keys created through the admin endpoints (stored hashed in
+ * DATA_DIR/api-keys.json) and an optional local keys file (API_KEYS_FILE) that is read at startup.
+ * Usage counters are kept per key and calendar month (UTC) in DATA_DIR/api-usage.json.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const store = require('./store');
+
+const KEYS_FILE = 'api-keys.json';
+const USAGE_FILE = 'api-usage.json';
+
+const keys = new Map(); // key hash -> key record
+const windows = new Map(); // key id -> { start, count } for the current minute
+let usage = {};
+
+const getDefaultRateLimit = () => parseInt(process.env.API_RATE_LIMIT_PER_MINUTE) || 60;
+const getDefaultQuota = () => parseInt(process.env.API_MONTHLY_QUOTA) || 10000;
+
+/**
+ * Authentication is on when an admin key or a keys file is configured, unless AUTH_ENABLED overrides it
+ */
+const isEnabled = () => {
+  if (process.env.AUTH_ENABLED !== undefined) {
+    return process.env.AUTH_ENABLED === 'true';
+  }
+  return Boolean(process.env.ADMIN_API_KEY || process.env.API_KEYS_FILE);
+};
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+const currentMonth = (now = new Date()) => now.toISOString().slice(0, 7);
+
+/**
+ * Seconds until the first day of next month (UTC)
+ */
+const secondsUntilNextMonth = (now = new Date()) => {
+  const next = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+  return Math.ceil((next - now.getTime()) / 1000);
+};
+
+const persistKeys = () => {
+  store.writeJson(KEYS_FILE, Array.from(keys.values()).filter(record => record.source === 'admin'));
+};
+
+const persistUsage = () => {
+  store.writeJson(USAGE_FILE, usage);
+};
+
+/**
+ * Usage counters for a key in a month, created on first use
+ */
+const getCounters = (keyId, month = currentMonth()) => {
+  usage[month] = usage[month] || {};
+  usage[month][keyId] = usage[month][keyId] || { requests: 0, scrapes: 0, rateLimited: 0, quotaExceeded: 0, lastUsedAt: null };
+  return usage[month][keyId];
+};
+
+const limitsOf = (record) => ({
+  rateLimitPerMinute: record.rateLimitPerMinute || getDefaultRateLimit(),
+  monthlyQuota: record.monthlyQuota || getDefaultQuota()
+});
+
+/**
+ * Shape a key record for API responses. The key itself is never stored or shown after creation.
+ */
+const toPublicKey = (record) => ({
+  id: record.id,
+  name: record.name,
+  prefix: record.prefix,
+  source: record.source,
+  createdAt: record.createdAt,
+  limits: limitsOf(record),
+  usage: { month: currentMonth(), ...getCounters(record.id) }
+});
+
+/**
+ * Validate optional limit overrides. Returns { error } or { limits }.
+ */
+const parseLimits = ({ rateLimitPerMinute, monthlyQuota } = {}) => {
+  const limits = {};
+  for (const [name, value] of [['rateLimitPerMinute', rateLimitPerMinute], ['monthlyQuota', monthlyQuota]]) {
+    if (value === undefined || value === null) continue;
+    const parsed = parseInt(value);
+    if (isNaN(parsed) || parsed < 1) {
+      return { error: `Invalid ${name} value. Must be a positive integer.` };
+    }
+    limits[name] = parsed;
+  }
+  return { limits };
+};
+
+/**
+ * Create a key. Returns { error } or { key, record } where key is the only copy of the secret.
+ */
+const createKey = (body = {}) => {
+  const { name } = body;
+  if (!name || typeof name !== 'string') {
+    return { error: 'name is required' };
+  }
+
+  const { error, limits } = parseLimits(body);
+  if (error) {
+    return { error };
+  }
+
+  const key = `ak_${crypto.randomBytes(24).toString('base64url')}`;
+  const record = {
+    id: crypto.randomUUID(),
+    name,
+    prefix: key.slice(0, 7),
+    keyHash: hashKey(key),
+    source: 'admin',
+    rateLimitPerMinute: limits.rateLimitPerMinute || null,
+    monthlyQuota: limits.monthlyQuota || null,
+    createdAt: new Date().toISOString()
+  };
+
+  keys.set(record.keyHash, record);
+  persistKeys();
+
+  return { key, record: toPublicKey(record) };
+};
+
+const findById = (id) => Array.from(keys.values()).find(record => record.id === id) || null;
+
+const listKeys = () => Array.from(keys.values()).map(toPublicKey);
+
+/**
+ * Change a key's limits. Returns { error, status } or { record }.
+ */
+const updateKey = (id, body = {}) => {
+  const record = findById(id);
+  if (!record) {
+    return { error: 'API key not found', status: 404 };
+  }
+  if (record.source !== 'admin') {
+    return { error: 'Keys from the keys file can only be changed in the file', status: 409 };
+  }
+
+  const { error, limits } = parseLimits(body);
+  if (error) {
+    return { error, status: 400 };
+  }
+
+  Object.assign(record, limits);
+  if (typeof body.name === 'string' && body.name) {
+    record.name = body.name;
+  }
+  persistKeys();
+
+  return { record: toPublicKey(record) };
+};
+
+/**
+ * Revoke a key. Returns { error, status } or {}.
+ */
+const revokeKey = (id) => {
+  const record = findById(id);
+  if (!record) {
+    return { error: 'API key not found', status: 404 };
+  }
+  if (record.source !== 'admin') {
+    return { error: 'Keys from the keys file can only be removed from the file', status: 409 };
+  }
+
+  keys.delete(record.keyHash);
+  windows.delete(record.id);
+  persistKeys();
+  return {};
+};
+
+/**
+ * Usage of every key in a month (YYYY-MM), for billing
+ */
+const getUsageReport = (month = currentMonth()) => ({
+  month,
+  keys: Array.from(keys.values()).map(record => ({
+    id: record.id,
+    name: record.name,
+    limits: limitsOf(record),
+    ...(usage[month]?.[record.id] || { requests: 0, scrapes: 0, rateLimited: 0, quotaExceeded: 0, lastUsedAt: null })
+  }))
+});
+
+/**
+ * Read the API key from Authorization: Bearer <key> or X-API-Key
+ */
+const readKey = (req) => {
+  const header = req.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : (req.get('x-api-key') || null);
+};
+
+const sendError = (res, status, code, error, retryAfter) => {
+  if (retryAfter !== undefined) {
+    res.set('Retry-After', String(retryAfter));
+  }
+  return res.status(status).json({ success: false, error, code });
+};
+
+/**
+ * Express middleware that requires a valid API key and enforces its limits.
+ *
+ * cost(req) is the number of scrapes the request counts against the monthly quota.
+ * The authenticated key is available as req.apiKey.
+ */
+const requireApiKey = ({ cost = () => 0 } = {}) => (req, res, next) => {
+  if (!isEnabled()) return next();
+
+  const key = readKey(req);
+  if (!key) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return sendError(res, 401, 'API_KEY_REQUIRED', 'API key required. Send Authorization: Bearer <key>.');
+  }
+
+  const record = keys.get(hashKey(key));
+  if (!record) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return sendError(res, 401, 'API_KEY_INVALID', 'Invalid API key');
+  }
+
+  const { rateLimitPerMinute, monthlyQuota } = limitsOf(record);
+  const counters = getCounters(record.id);
+  const now = Date.now();
+
+  // Fixed one-minute window per key
+  let window = windows.get(record.id);
+  if (!window || now - window.start >= 60000) {
+    window = { start: now, count: 0 };
+    windows.set(record.id, window);
+  }
+  const resetSeconds = Math.ceil((window.start + 60000 - now) / 1000);
+
+  res.set('X-RateLimit-Limit', String(rateLimitPerMinute));
+  res.set('X-RateLimit-Reset', String(resetSeconds));
+
+  if (window.count >= rateLimitPerMinute) {
+    counters.rateLimited++;
+    persistUsage();
+    res.set('X-RateLimit-Remaining', '0');
+    return sendError(res, 429, 'RATE_LIMITED', `Rate limit of ${rateLimitPerMinute} requests per minute exceeded`, resetSeconds);
+  }
+
+  const units = cost(req);
+  if (units > 0 && counters.scrapes + units > monthlyQuota) {
+    counters.quotaExceeded++;
+    persistUsage();
+    return sendError(res, 429, 'QUOTA_EXCEEDED',
+      `Monthly quota of ${monthlyQuota} scrapes exceeded (${counters.scrapes} used)`, secondsUntilNextMonth());
+  }
+
+  window.count++;
+  counters.requests++;
+  counters.scrapes += units;
+  counters.lastUsedAt = new Date(now).toISOString();
+  persistUsage();
+
+  // Rejected requests (invalid input or an unsupported output format) do not use up the quota
+  if (units > 0) {
+    res.on('finish', () => {
+      if (res.statusCode !== 400 && res.statusCode !== 406) return;
+      counters.scrapes -= units;
+      persistUsage();
+    });
+  }
+
+  res.set('X-RateLimit-Remaining', String(rateLimitPerMinute - window.count));
+  res.set('X-Quota-Limit', String(monthlyQuota));
+  res.set('X-Quota-Remaining', String(monthlyQuota - counters.scrapes));
+
+  req.apiKey = record;
+  next();
+};
+
+/**
+ * Give back part of a request's charge that it reserved but did not use
+ */
+const refundScrapes = (req, res, units) => {
+  if (!req.apiKey || units <= 0) return;
+
+  const counters = getCounters(req.apiKey.id);
+  counters.scrapes -= units;
+  persistUsage();
+  res.set('X-Quota-Remaining', String(limitsOf(req.apiKey).monthlyQuota - counters.scrapes));
+};
+
+/**
+ * Express middleware for admin endpoints: requires ADMIN_API_KEY
+ */
+const requireAdmin = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return sendError(res, 403, 'ADMIN_DISABLED', 'Admin endpoints are disabled. Set ADMIN_API_KEY to enable them.');
+  }
+
+  const key = readKey(req);
+  const expected = Buffer.from(hashKey(adminKey));
+  if (!key || !crypto.timingSafeEqual(Buffer.from(hashKey(key)), expected)) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return sendError(res, 401, 'ADMIN_KEY_INVALID', 'Admin API key required');
+  }
+  next();
+};
+
+/**
+ * Load stored keys, the local keys file and usage counters
+ *
+ * The keys file is a JSON array of { key, name, rateLimitPerMinute, monthlyQuota }.
+ */
+const init = () => {
+  store.readJson(KEYS_FILE, []).forEach(record => keys.set(record.keyHash, record));
+  usage = store.readJson(USAGE_FILE, {});
+
+  const keysFile = process.env.API_KEYS_FILE;
+  if (keysFile) {
+    try {
+      const entries = JSON.parse(fs.readFileSync(keysFile, 'utf8'));
+      entries.forEach((entry, index) => {
+        if (!entry.key) return;
+        const keyHash = hashKey(entry.key);
+        keys.set(keyHash, {
+          // Stable ID so usage survives restarts
+          id: `file-${keyHash.slice(0, 12)}`,
+          name: entry.name || `key ${index + 1}`,
+          prefix: String(entry.key).slice(0, 7),
+          keyHash,
+          source: 'file',
+          rateLimitPerMinute: parseLimits(entry).limits?.rateLimitPerMinute || null,
+          monthlyQuota: parseLimits(entry).limits?.monthlyQuota || null,
+          createdAt: null
+        });
+      });
+      console.log(`Loaded ${entries.length} API key(s) from ${keysFile}`);
+    } catch (error) {
+      console.log(`Could not read API keys file ${keysFile}:`, error.message);
+    }
+  }
+
+  if (!isEnabled()) {
+    console.log('⚠️  API key authentication is disabled (set ADMIN_API_KEY or API_KEYS_FILE to enable it)');
+  }
+};
+
+module.exports = {
+  init,
+  isEnabled,
+  requireApiKey,
+  refundScrapes,
+  requireAdmin,
+  createKey,
+  listKeys,
+  updateKey,
+  revokeKey,
+  getUsageReport,
+  toPublicKey
+};
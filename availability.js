@@ -0,0 +1,403 @@
+/**
+ * Date-specific price quotes and availability calendars.
+ *
+ * Quotes are read from the booking sidebar of a listing opened with check_in/check_out and
+ * guest parameters. Calendars come from the availability data Airbnb loads with the listing
+ * page, falling back to the inline calendar rendered on the page.
+ */
+
+const CURRENCY_SYMBOLS = {
+  'A$': 'AUD', 'C$': 'CAD', 'NZ$': 'NZD', 'HK$': 'HKD', 'R$': 'BRL', 'MX$': 'MXN',
+  '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR', '₩': 'KRW',
+  '₺': 'TRY', '₽': 'RUB', '₪': 'ILS', '฿': 'THB', '₫': 'VND', 'zł': 'PLN',
+  'kr': 'SEK', 'CHF': 'CHF'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Whether a string is a real YYYY-MM-DD calendar date (Date.parse rolls 2024-02-31 over to March 2)
+ */
+const isCalendarDate = (value) => {
+  if (!DATE_PATTERN.test(value || '')) return false;
+  const time = Date.parse(`${value}T00:00:00Z`);
+  return !isNaN(time) && new Date(time).toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Parse a displayed amount such as "$1,234", "-€40" or "1.234,50 €"
+ */
+const parseMoney = (text) => {
+  if (!text) return null;
+  const match = String(text).match(/(-|−)?\s*([A-Z]{3}|[A-Z]{0,2}[$€£¥₹₩₺₽₪฿₫]|zł|kr|CHF)?\s*(-|−)?\s*([\d.,\s]*\d)\s*(zł|kr|[A-Z]{3}|[€£])?/);
+  if (!match) return null;
+
+  let number = match[4].replace(/\s/g, '');
+  // Treat the last separator as decimal only when followed by exactly two digits
+  if (/[.,]\d{2}$/.test(number)) {
+    number = number.slice(0, -3).replace(/[.,]/g, '') + '.' + number.slice(-2);
+  } else {
+    number = number.replace(/[.,]/g, '');
+  }
+
+  const amount = parseFloat(number);
+  if (isNaN(amount)) return null;
+
+  const symbol = (match[2] || match[5] || '').trim();
+  const negative = Boolean(match[1] || match[3]);
+  return {
+    amount: negative ? -amount : amount,
+    currency: /^[A-Z]{3}$/.test(symbol) ? symbol : (CURRENCY_SYMBOLS[symbol] || null)
+  };
+};
+
+/**
+ * Number of nights between two YYYY-MM-DD dates
+ */
+const countNights = (checkIn, checkOut) =>
+  Math.round((Date.parse(`${checkOut}T00:00:00Z`) - Date.parse(`${checkIn}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+
+/**
+ * Validate stay options. Returns { error } or { stay } (stay is null when no dates were given).
+ */
+const parseStayOptions = ({ checkIn, checkOut, adults, children, pets } = {}) => {
+  if (checkIn === undefined && checkOut === undefined) {
+    if (adults !== undefined || children !== undefined || pets !== undefined) {
+      return { error: 'checkIn and checkOut are required when guests are specified.' };
+    }
+    return { stay: null };
+  }
+
+  if (!isCalendarDate(checkIn) || !isCalendarDate(checkOut)) {
+    return { error: 'Invalid dates. checkIn and checkOut must both be real dates in YYYY-MM-DD format.' };
+  }
+
+  if (countNights(checkIn, checkOut) < 1) {
+    return { error: 'Invalid dates. checkOut must be after checkIn.' };
+  }
+
+  const guests = { adults: 1, children: 0, pets: 0 };
+  for (const [key, value, min] of [['adults', adults, 1], ['children', children, 0], ['pets', pets, 0]]) {
+    if (value === undefined) continue;
+    const parsed = parseInt(value);
+    if (isNaN(parsed) || parsed < min) {
+      return { error: `Invalid ${key} value. Must be an integer of at least ${min}.` };
+    }
+    guests[key] = parsed;
+  }
+
+  return { stay: { checkIn, checkOut, ...guests } };
+};
+
+/**
+ * Add the stay dates and guests to a listing URL the way Airbnb's own links do
+ */
+const buildStayUrl = (url, stay) => {
+  if (!stay) return url;
+  const urlObj = new URL(url);
+  urlObj.searchParams.set('check_in', stay.checkIn);
+  urlObj.searchParams.set('check_out', stay.checkOut);
+  urlObj.searchParams.set('adults', String(stay.adults));
+  urlObj.searchParams.set('children', String(stay.children));
+  urlObj.searchParams.set('pets', String(stay.pets));
+  return urlObj.toString();
+};
+
+/**
+ * Runs inside the page: read the booking sidebar (embedded price details first, then DOM)
+ */
+const collectBookingSidebar = () => {
+  const lines = [];
+  let source = null;
+
+  // Embedded price explanation: [{ description, priceString }]
+  const stack = [];
+  document.querySelectorAll('script[type="application/json"], script[id^="data-deferred-state"]').forEach(script => {
+    try {
+      stack.push(JSON.parse(script.textContent));
+    } catch (e) {
+      // Not JSON, ignore
+    }
+  });
+  let minNights = null;
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (!node || typeof node !== 'object') continue;
+    if (Array.isArray(node.priceDetails)) {
+      node.priceDetails.forEach(group => (group?.items || []).forEach(item => {
+        if (item?.description && item?.priceString) {
+          lines.push({ label: item.description, price: item.priceString });
+        }
+      }));
+    }
+    if (node.__typename === 'DisplayPriceLine' && node.description && node.price) {
+      lines.push({ label: node.description, price: node.price });
+    }
+    if (minNights === null && typeof node.minNights === 'number') {
+      minNights = node.minNights;
+    }
+    Object.values(node).forEach(child => {
+      if (child && typeof child === 'object') stack.push(child);
+    });
+  }
+  if (lines.length > 0) source = 'embedded';
+
+  const sidebar = document.querySelector('[data-section-id="BOOK_IT_SIDEBAR"], [data-testid="book-it-default"]');
+  const sidebarText = sidebar ? sidebar.textContent.replace(/\s+/g, ' ').trim() : '';
+
+  // DOM rows: a label and an amount side by side
+  if (lines.length === 0 && sidebar) {
+    sidebar.querySelectorAll('section div, li').forEach(row => {
+      if (row.children.length < 2 || row.children.length > 3) return;
+      const label = row.children[0].textContent.replace(/\s+/g, ' ').trim();
+      const price = row.children[row.children.length - 1].textContent.replace(/\s+/g, ' ').trim();
+      if (label && /\d/.test(price) && label !== price && label.length < 80 && !lines.some(l => l.label === label)) {
+        lines.push({ label, price });
+      }
+    });
+    if (lines.length > 0) source = 'dom';
+  }
+
+  const reserveButton = document.querySelector('[data-testid="homes-pdp-cta-btn"], [data-section-id="BOOK_IT_SIDEBAR"] button[type="button"]');
+  const unavailableMatch = sidebarText.match(/(those dates are not available|dates? (?:are|is) unavailable|minimum stay[^.]*|maximum stay[^.]*|not available)/i);
+  const minNightsMatch = sidebarText.match(/minimum stay (?:is )?(\d+) nights?|(\d+)[- ]night minimum/i);
+
+  return {
+    source,
+    lines,
+    unavailableText: unavailableMatch ? unavailableMatch[1] : null,
+    reserveEnabled: reserveButton ? !reserveButton.disabled && /reserve|book|request/i.test(reserveButton.textContent) : null,
+    minNights: minNights !== null ? minNights : (minNightsMatch ? parseInt(minNightsMatch[1] || minNightsMatch[2]) : null)
+  };
+};
+
+/**
+ * Turn sidebar lines into a price breakdown
+ */
+const buildBreakdown = (lines, nights) => {
+  const breakdown = {
+    nightly: null,
+    cleaningFee: null,
+    serviceFee: null,
+    taxes: null,
+    discounts: [],
+    other: []
+  };
+  let total = null;
+  let totalBeforeTaxes = null;
+  let currency = null;
+
+  for (const { label, price } of lines) {
+    const money = parseMoney(price);
+    if (!money) continue;
+    currency = currency || money.currency;
+    const lower = label.toLowerCase();
+
+    if (/total before tax/.test(lower)) {
+      totalBeforeTaxes = money.amount;
+    } else if (/^total/.test(lower)) {
+      total = money.amount;
+    } else if (/(x|×)\s*\d+\s*nights?|\d+\s*nights?\s*(x|×)/.test(lower)) {
+      // The rate is the side of "x" that is not the night count, e.g. "$120 x 5 nights"
+      const ratePart = label.split(/\s[x×]\s/i).find(part => !/night/i.test(part));
+      const rate = parseMoney(ratePart);
+      const nightsMatch = lower.match(/(\d+)\s*nights?/);
+      breakdown.nightly = {
+        rate: rate ? Math.abs(rate.amount) : null,
+        nights: nightsMatch ? parseInt(nightsMatch[1]) : nights,
+        amount: money.amount
+      };
+    } else if (/cleaning/.test(lower)) {
+      breakdown.cleaningFee = money.amount;
+    } else if (/service fee/.test(lower)) {
+      breakdown.serviceFee = money.amount;
+    } else if (/tax/.test(lower)) {
+      breakdown.taxes = (breakdown.taxes || 0) + money.amount;
+    } else if (/\b(discount|off|promotion|credit)\b/.test(lower) || money.amount < 0) {
+      breakdown.discounts.push({ label, amount: -Math.abs(money.amount) });
+    } else {
+      breakdown.other.push({ label, amount: money.amount });
+    }
+  }
+
+  return { breakdown, total, totalBeforeTaxes, currency };
+};
+
+/**
+ * Extract a price quote for the stay from an open listing page
+ */
+const extractPriceQuote = async (page, stay, calendarDays = []) => {
+  const nights = countNights(stay.checkIn, stay.checkOut);
+
+  let sidebar;
+  try {
+    sidebar = await page.evaluate(collectBookingSidebar);
+  } catch (error) {
+    console.log('Could not read booking sidebar:', error.message);
+    sidebar = { source: null, lines: [], unavailableText: null, reserveEnabled: null, minNights: null };
+  }
+
+  const { breakdown, total, totalBeforeTaxes, currency } = buildBreakdown(sidebar.lines, nights);
+  const checkInDay = calendarDays.find(day => day.date === stay.checkIn);
+
+  // A quote with a total and no warning is bookable; an explicit warning means it is not
+  let bookable = null;
+  if (sidebar.unavailableText) {
+    bookable = false;
+  } else if (checkInDay && checkInDay.availableForCheckin === false) {
+    bookable = false;
+  } else if (total !== null || totalBeforeTaxes !== null) {
+    bookable = sidebar.reserveEnabled !== false;
+  }
+
+  return {
+    checkIn: stay.checkIn,
+    checkOut: stay.checkOut,
+    nights,
+    guests: {
+      adults: stay.adults,
+      children: stay.children,
+      pets: stay.pets
+    },
+    bookable,
+    unavailableReason: sidebar.unavailableText,
+    currency,
+    nightlyRate: breakdown.nightly?.rate ?? (breakdown.nightly ? breakdown.nightly.amount / nights : null),
+    breakdown,
+    totalBeforeTaxes,
+    total: total ?? (totalBeforeTaxes !== null && breakdown.taxes !== null ? totalBeforeTaxes + breakdown.taxes : totalBeforeTaxes),
+    minNights: checkInDay?.minNights ?? sidebar.minNights,
+    maxNights: checkInDay?.maxNights ?? null,
+    source: sidebar.source
+  };
+};
+
+/**
+ * Normalise a calendar day from Airbnb's availability data
+ */
+const fromApiDay = (day) => ({
+  date: day.calendarDate,
+  available: Boolean(day.available),
+  availableForCheckin: day.availableForCheckin ?? null,
+  availableForCheckout: day.availableForCheckout ?? null,
+  minNights: day.minNights ?? null,
+  maxNights: day.maxNights ?? null
+});
+
+/**
+ * Start capturing availability calendar responses. Call before navigating.
+ * Returns a map of date -> day that fills up as responses arrive.
+ */
+const captureCalendar = (page) => {
+  const days = new Map();
+
+  page.on('response', async (response) => {
+    if (!/PdpAvailabilityCalendar|calendar_months/i.test(response.url())) return;
+    try {
+      const stack = [await response.json()];
+      while (stack.length > 0) {
+        const node = stack.pop();
+        if (!node || typeof node !== 'object') continue;
+        if (typeof node.calendarDate === 'string') {
+          days.set(node.calendarDate, fromApiDay(node));
+          continue;
+        }
+        Object.values(node).forEach(child => stack.push(child));
+      }
+    } catch (e) {
+      // Body unavailable (redirect or aborted), ignore
+    }
+  });
+
+  return days;
+};
+
+/**
+ * Read the inline availability calendar, paging forward until enough months are covered
+ */
+const readCalendarFromDom = async (page, months) => {
+  const days = new Map();
+
+  for (let step = 0; step <= months; step++) {
+    const visible = await page.evaluate(() => {
+      return Array.from(document.querySelectorAll('[data-testid^="calendar-day-"]')).map(el => {
+        // data-testid is calendar-day-MM/DD/YYYY
+        const [month, day, year] = el.getAttribute('data-testid').replace('calendar-day-', '').split('/');
+        const blocked = el.getAttribute('data-is-day-blocked') === 'true' || el.getAttribute('aria-disabled') === 'true';
+        return {
+          date: `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`,
+          available: !blocked,
+          availableForCheckin: null,
+          availableForCheckout: null,
+          minNights: null,
+          maxNights: null
+        };
+      });
+    });
+    visible.forEach(day => days.set(day.date, day));
+
+    const lastDay = visible.length > 0 ? visible[visible.length - 1].date : null;
+    const moved = await page.evaluate(() => {
+      const next = document.querySelector('[aria-label*="Move forward" i], [aria-label*="next month" i]');
+      if (!next || next.disabled) return false;
+      next.click();
+      return true;
+    });
+    if (!moved) break;
+
+    // The next month has rendered once the last visible day changes
+    await page.waitForFunction((lastDay) => {
+      const cells = document.querySelectorAll('[data-testid^="calendar-day-"]');
+      if (cells.length === 0) return false;
+      const [month, day, year] = cells[cells.length - 1].getAttribute('data-testid').replace('calendar-day-', '').split('/');
+      return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}` !== lastDay;
+    }, { timeout: 3000 }, lastDay).catch(() => {});
+  }
+
+  return days;
+};
+
+/**
+ * Group calendar days into months, keeping the next N months from today
+ */
+const buildCalendar = (days, months) => {
+  const now = new Date();
+  const start = `${now.getUTCFullYear()}-${String(now.getUTCMonth() + 1).padStart(2, '0')}-01`;
+  const endDate = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + months, 1));
+  const end = endDate.toISOString().slice(0, 10);
+
+  const byMonth = new Map();
+  Array.from(days.values())
+    .filter(day => day.date >= start && day.date < end)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .forEach(day => {
+      const month = day.date.slice(0, 7);
+      if (!byMonth.has(month)) byMonth.set(month, []);
+      byMonth.get(month).push(day);
+    });
+
+  const calendar = Array.from(byMonth, ([month, monthDays]) => ({
+    month,
+    availableDays: monthDays.filter(day => day.available).length,
+    blockedDays: monthDays.filter(day => !day.available).length,
+    days: monthDays
+  }));
+
+  return {
+    months: calendar,
+    summary: {
+      availableDays: calendar.reduce((sum, m) => sum + m.availableDays, 0),
+      blockedDays: calendar.reduce((sum, m) => sum + m.blockedDays, 0)
+    }
+  };
+};
+
+module.exports = {
+  parseMoney,
+  parseStayOptions,
+  buildStayUrl,
+  extractPriceQuote,
+  captureCalendar,
+  readCalendarFromDom,
+  buildCalendar
+};
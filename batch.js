@@ -0,0 +1,77 @@
+const cache = require('./cache');
+const browserPool = require('./browserPool');
+const { mapWithConcurrency } = require('./concurrency');
+const { SCRAPE_ERRORS } = require('./scrapeErrors');
+
+// A batch never runs more scrapes than BROWSER_POOL_SIZE, since extra items would only queue for a
+// browser and could fail on the acquire timeout; the maximum defaults to the pool size
+const getMaxConcurrency = () => Math.min(parseInt(process.env.BATCH_MAX_CONCURRENCY) || browserPool.getPoolSize(), browserPool.getPoolSize());
+const getDefaultConcurrency = () => Math.min(parseInt(process.env.BATCH_CONCURRENCY) || 2, getMaxConcurrency());
+const getMaxUrls = () => parseInt(process.env.BATCH_MAX_URLS) || 500;
+
+// Failures with their own description in result lines, besides the classified scrape failures
+// (see scrapeErrors.js); anything else is a generic scrape failure
+const BATCH_ERRORS = {
+  CACHE_MISS: 'Listing not in cache',
+  URL_RESOLUTION_FAILED: 'Could not resolve the listing URL'
+};
+
+const describeError = (code) => BATCH_ERRORS[code] || SCRAPE_ERRORS[code]?.error || null;
+
+/**
+ * Scrape a batch of listings with bounded concurrency
+ *
+ * items: [{ url, options }] or [{ url, error }] for items that failed validation.
+ * onResult(line) is called as each item finishes; the summary is returned at the end. owner is the ID of
+ * the API key the scrapes are for.
+ */
+const runBatch = async (items, { concurrency, signal, owner = null, onResult }) => {
+  const startedAt = Date.now();
+  const counts = { succeeded: 0, failed: 0, skipped: 0 };
+
+  await mapWithConcurrency(items, concurrency, async (item, index) => {
+    const itemStartedAt = Date.now();
+
+    if (item.error) {
+      counts.failed++;
+      onResult({ type: 'result', index, url: item.url ?? null, success: false, error: item.error, ...(item.code && { code: item.code }), durationMs: 0 });
+      return;
+    }
+
+    try {
+      const result = await cache.scrapeListing(item.url, { ...item.options, owner, signal });
+      counts.succeeded++;
+      onResult({ type: 'result', index, success: true, durationMs: Date.now() - itemStartedAt, ...result });
+    } catch (error) {
+      counts.failed++;
+      onResult({
+        type: 'result',
+        index,
+        url: item.url,
+        success: false,
+        error: describeError(error.code) || 'Failed to scrape the listing',
+        message: error.message,
+        ...(describeError(error.code) && { code: error.code }),
+        ...(error.attempts && { attempts: error.attempts }),
+        ...(error.recordingId && { recordingId: error.recordingId }),
+        durationMs: Date.now() - itemStartedAt
+      });
+    }
+  }, { signal });
+
+  counts.skipped = items.length - counts.succeeded - counts.failed;
+
+  return {
+    type: 'summary',
+    total: items.length,
+    ...counts,
+    durationMs: Date.now() - startedAt
+  };
+};
+
+module.exports = {
+  getDefaultConcurrency,
+  getMaxConcurrency,
+  getMaxUrls,
+  runBatch
+};
@@ -0,0 +1,329 @@
+/**
+ * Pool of warm browser instances shared across scrapes.
+ *
+ * Each browser is keyed by its connection settings (direct, HTTP proxy, BrightData) and
+ * serves one scrape at a time through an isolated browser context. Browsers are recycled
+ * after a number of pages, when they crash or disconnect, and when they sit idle too long.
+ */
+
+const getPoolSize = () => parseInt(process.env.BROWSER_POOL_SIZE) || 2;
+const getMaxPages = () => parseInt(process.env.BROWSER_MAX_PAGES) || 50;
+const getIdleTimeoutMs = () => parseInt(process.env.BROWSER_IDLE_TIMEOUT_MS) || 5 * 60 * 1000;
+const getHealthIntervalMs = () => parseInt(process.env.BROWSER_HEALTH_INTERVAL_MS) || 30000;
+const getAcquireTimeoutMs = () => parseInt(process.env.BROWSER_ACQUIRE_TIMEOUT_MS) || 2 * 60 * 1000;
+
+const entries = [];
+const waiters = [];
+const counters = {
+  launched: 0,
+  recycled: 0,
+  crashed: 0,
+  pagesServed: 0
+};
+
+let nextId = 1;
+let healthTimer = null;
+let shuttingDown = false;
+let serving = false;
+
+/**
+ * Close a browser and remove it from the pool
+ */
+const retire = async (entry, reason) => {
+  const index = entries.indexOf(entry);
+  if (index !== -1) entries.splice(index, 1);
+  if (entry.retired) return;
+
+  entry.retired = true;
+  counters.recycled++;
+  console.log(`Recycling browser #${entry.id} (${reason})`);
+
+  if (entry.browser?.connected) {
+    await entry.browser.close().catch(() => {});
+  }
+};
+
+/**
+ * Launch a new browser for the given key and register it in the pool
+ */
+const addEntry = async (key, launch) => {
+  const entry = {
+    id: nextId++,
+    key,
+    browser: null,
+    busy: true,
+    crashed: false,
+    retired: false,
+    pagesServed: 0,
+    createdAt: Date.now(),
+    lastUsedAt: Date.now()
+  };
+  entries.push(entry);
+
+  try {
+    entry.browser = await launch();
+  } catch (error) {
+    entries.splice(entries.indexOf(entry), 1);
+    throw error;
+  }
+
+  counters.launched++;
+  entry.browser.on('disconnected', () => {
+    if (entry.retired) return;
+    entry.crashed = true;
+    counters.crashed++;
+    console.log(`Browser #${entry.id} disconnected`);
+    if (!entry.busy) retire(entry, 'disconnected');
+  });
+
+  return entry;
+};
+
+/**
+ * Return a browser to the pool, recycling it if it is worn out or broken, or when the scrape
+ * asked for it (recycleReason) because the next one should not share its identity
+ */
+const releaseEntry = async (entry, recycleReason = null) => {
+  entry.pagesServed++;
+  counters.pagesServed++;
+  entry.lastUsedAt = Date.now();
+
+  if (shuttingDown) {
+    await retire(entry, 'shutdown');
+  } else if (entry.crashed || !entry.browser.connected) {
+    await retire(entry, 'crashed');
+  } else if (recycleReason) {
+    await retire(entry, recycleReason);
+  } else if (entry.pagesServed >= getMaxPages()) {
+    await retire(entry, `served ${entry.pagesServed} pages`);
+  }
+
+  entry.busy = false;
+  serveWaiters();
+};
+
+/**
+ * Wrap a pool entry in a lease handed to a single scrape
+ */
+const createLease = async (entry) => {
+  let context = null;
+  try {
+    context = await entry.browser.createBrowserContext();
+  } catch (error) {
+    // Remote browsers (e.g. BrightData) may not support extra contexts; fall back to the default one
+    console.log(`Browser #${entry.id} cannot create isolated contexts, using default context`);
+  }
+
+  const pages = [];
+  let released = false;
+
+  return {
+    browser: entry.browser,
+    context,
+
+    newPage: async () => {
+      const page = context ? await context.newPage() : await entry.browser.newPage();
+      page.once('error', () => {
+        entry.crashed = true;
+      });
+      pages.push(page);
+      return page;
+    },
+
+    // Tear down the scrape immediately; any in-flight Puppeteer call on its pages will reject
+    abort: async () => {
+      if (context) {
+        await context.close().catch(() => {});
+      } else {
+        entry.crashed = true;
+        await entry.browser.close().catch(() => {});
+      }
+    },
+
+    // recycle: reason to close the browser instead of returning it to the pool
+    release: async ({ recycle } = {}) => {
+      if (released) return;
+      released = true;
+
+      if (context) {
+        await context.close().catch(() => {});
+      } else {
+        await Promise.all(pages.map(page => page.close().catch(() => {})));
+      }
+      await releaseEntry(entry, recycle || null);
+    }
+  };
+};
+
+/**
+ * Try to hand out a browser for the key without waiting. Returns null if the pool is full.
+ */
+const tryAcquire = async (key, launch) => {
+  const idle = entries.find(entry => entry.key === key && !entry.busy && !entry.crashed);
+  if (idle) {
+    idle.busy = true;
+    return idle;
+  }
+
+  if (entries.length >= getPoolSize()) {
+    // Make room by closing an idle browser that was launched with different settings
+    const other = entries.find(entry => !entry.busy);
+    if (!other) return null;
+    retire(other, 'evicted for different connection settings');
+  }
+
+  return await addEntry(key, launch);
+};
+
+/**
+ * Hand freed capacity to scrapes waiting for a browser, oldest first
+ */
+const serveWaiters = async () => {
+  if (serving) return;
+  serving = true;
+
+  try {
+    while (waiters.length > 0) {
+      const waiter = waiters[0];
+      let entry;
+      try {
+        entry = await tryAcquire(waiter.key, waiter.launch);
+      } catch (error) {
+        removeWaiter(waiter);
+        waiter.reject(error);
+        continue;
+      }
+      if (!entry) break;
+
+      if (!removeWaiter(waiter)) {
+        // The waiter timed out while its browser was launching; keep the browser for the next one
+        entry.busy = false;
+        continue;
+      }
+      createLease(entry).then(waiter.resolve, waiter.reject);
+    }
+  } finally {
+    serving = false;
+  }
+};
+
+/**
+ * Remove a waiter from the queue. Returns false if it was already gone.
+ */
+const removeWaiter = (waiter) => {
+  const index = waiters.indexOf(waiter);
+  if (index === -1) return false;
+  waiters.splice(index, 1);
+  clearTimeout(waiter.timer);
+  return true;
+};
+
+/**
+ * Acquire a browser for one scrape
+ *
+ * key identifies the connection settings; launch() creates a new browser for them.
+ * Resolves to a lease with newPage(), abort() and release({ recycle }).
+ */
+const acquire = async (key, launch) => {
+  if (shuttingDown) {
+    throw new Error('Browser pool is shutting down');
+  }
+  startHealthChecks();
+
+  const entry = await tryAcquire(key, launch);
+  if (entry) {
+    return createLease(entry);
+  }
+
+  console.log(`All ${getPoolSize()} browsers busy, waiting for a free one...`);
+  return new Promise((resolve, reject) => {
+    const waiter = { key, launch, resolve, reject };
+    waiter.timer = setTimeout(() => {
+      removeWaiter(waiter);
+      reject(new Error('Timed out waiting for a free browser'));
+    }, getAcquireTimeoutMs());
+    waiters.push(waiter);
+  });
+};
+
+/**
+ * Check idle browsers and recycle unresponsive or long-idle ones
+ */
+const checkHealth = async () => {
+  const now = Date.now();
+
+  for (const entry of entries.filter(e => !e.busy && e.browser)) {
+    if (now - entry.lastUsedAt > getIdleTimeoutMs()) {
+      await retire(entry, 'idle timeout');
+      continue;
+    }
+
+    try {
+      await Promise.race([
+        entry.browser.version(),
+        new Promise((_, reject) => setTimeout(() => reject(new Error('health check timed out')), 5000))
+      ]);
+    } catch (error) {
+      entry.crashed = true;
+      counters.crashed++;
+      await retire(entry, `failed health check: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Start periodic health checks (once)
+ */
+const startHealthChecks = () => {
+  if (healthTimer) return;
+  healthTimer = setInterval(() => {
+    checkHealth().catch(error => console.log('Browser health check failed:', error.message));
+  }, getHealthIntervalMs());
+  healthTimer.unref();
+};
+
+/**
+ * Close every browser and reject pending acquisitions
+ */
+const shutdown = async () => {
+  shuttingDown = true;
+  clearInterval(healthTimer);
+  healthTimer = null;
+
+  for (const waiter of waiters.slice()) {
+    removeWaiter(waiter);
+    waiter.reject(new Error('Browser pool is shutting down'));
+  }
+
+  await Promise.all(entries.slice().map(entry => retire(entry, 'shutdown')));
+};
+
+/**
+ * Current pool statistics
+ */
+const getStats = () => {
+  const now = Date.now();
+  return {
+    size: getPoolSize(),
+    maxPagesPerBrowser: getMaxPages(),
+    total: entries.length,
+    busy: entries.filter(entry => entry.busy).length,
+    idle: entries.filter(entry => !entry.busy).length,
+    waiting: waiters.length,
+    ...counters,
+    browsers: entries.map(entry => ({
+      id: entry.id,
+      key: entry.key,
+      busy: entry.busy,
+      pagesServed: entry.pagesServed,
+      ageMs: now - entry.createdAt
+    }))
+  };
+};
+
+module.exports = {
+  getPoolSize,
+  acquire,
+  shutdown,
+  getStats
+};
@@ -0,0 +1,155 @@
+/**
+ * Listing result cache on local disk.
+ *
+ * Entries are keyed by the listing ID plus every option that changes the scrape output,
+ * stored one file per entry under DATA_DIR/cache and expire after CACHE_TTL_SECONDS.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const store = require('./store');
+const scraper = require('./scraper');
+const history = require('./history');
+const webhooks = require('./webhooks');
+const { KEPT_PARAMS, readStayParams } = require('./listingUrl');
+const { parseStayOptions, buildStayUrl } = require('./availability');
+const { resolveLocale } = require('./locale');
+const { parseImageFilter } = require('./imageFilter');
+const { DEFAULT_IMAGE_SIZES } = require('./gallery');
+
+const CACHE_MODES = ['prefer', 'bypass', 'only'];
+
+const getTtlMs = () => (parseInt(process.env.CACHE_TTL_SECONDS) || 24 * 60 * 60) * 1000;
+
+/**
+ * Options that change the scrape output, with defaults resolved so equivalent requests share a key
+ */
+const getKeyOptions = (options) => ({
+  maxImages: options.maxImages || parseInt(process.env.MAX_IMAGES) || 100,
+  stay: options.stay || null,
+  imageFilter: options.imageFilter || parseImageFilter().filter,
+  imageSizes: options.imageSizes || DEFAULT_IMAGE_SIZES,
+  ...resolveLocale(options),
+  originalTitle: Boolean(options.originalTitle)
+});
+
+/**
+ * Cache key for a listing URL and scrape options. The URL's dates and guests (as the scrape will
+ * send them, after options.stay is applied) are part of the key, since they change the page.
+ */
+const getCacheKey = (url, options = {}) => {
+  const listingId = scraper.getListingKey(url);
+  const searchParams = new URL(buildStayUrl(url, options.stay)).searchParams;
+  const params = KEPT_PARAMS.filter(name => searchParams.has(name)).map(name => `${name}=${searchParams.get(name)}`);
+  const hash = crypto.createHash('sha256')
+    .update(JSON.stringify({ listingId, params, ...getKeyOptions(options) }))
+    .digest('hex');
+  return { listingId, key: hash.slice(0, 32) };
+};
+
+/**
+ * Take the stay from the URL's dates and guests when the request did not set one, so a dated URL
+ * is scraped, cached and recorded in history like the same request with stay options
+ */
+const withUrlStay = (url, options) => {
+  if (options.stay) return options;
+  const { stay } = parseStayOptions(readStayParams(url));
+  return stay ? { ...options, stay } : options;
+};
+
+const entryName = (key) => `cache/${key}.json`;
+
+/**
+ * Read a fresh cache entry, deleting it if it has expired
+ */
+const readEntry = (key) => {
+  const entry = store.readJson(entryName(key), null);
+  if (!entry) return null;
+
+  if (Date.parse(entry.expiresAt) <= Date.now()) {
+    fs.rm(store.dataPath(entryName(key)), { force: true }, () => {});
+    return null;
+  }
+  return entry;
+};
+
+/**
+ * Store a scrape result
+ */
+const writeEntry = (key, listingId, result) => {
+  const now = Date.now();
+  const entry = {
+    key,
+    listingId,
+    cachedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + getTtlMs()).toISOString(),
+    result
+  };
+  store.writeJson(entryName(key), entry);
+  return entry;
+};
+
+/**
+ * Scrape a listing through the cache
+ *
+ * options.cache: 'prefer' (default) returns a fresh cached result when there is one,
+ * 'bypass' always scrapes and refreshes the cache, 'only' never scrapes. options.record implies 'bypass'.
+ * The URL is resolved to its canonical form first (see listingUrl.js), so every way of addressing a
+ * listing shares one cache entry; dates and guests in the URL become the stay when options.stay is not set. The result carries listingId, fromCache and cachedAt. Every fresh
+ * scrape is also stored as a history snapshot and announced to the webhook subscriptions of options.owner
+ * (the ID of the API key the scrape is for).
+ */
+const scrapeListing = async (requestedUrl, requestOptions = {}) => {
+  // A recording must capture a live scrape
+  const mode = requestOptions.record ? 'bypass' : (requestOptions.cache || 'prefer');
+  const owner = requestOptions.owner || null;
+  const { url } = await scraper.resolveListingUrl(requestedUrl, { useProxy: requestOptions.useProxy, signal: requestOptions.signal });
+  const options = withUrlStay(url, requestOptions);
+  const { listingId, key } = getCacheKey(url, options);
+
+  if (mode !== 'bypass') {
+    const entry = readEntry(key);
+    if (entry) {
+      console.log(`Cache hit for listing ${listingId} (cached at ${entry.cachedAt})`);
+      return { listingId, ...entry.result, url, fromCache: true, cachedAt: entry.cachedAt };
+    }
+
+    if (mode === 'only') {
+      const error = new Error(`Listing ${listingId} is not in the cache`);
+      error.code = 'CACHE_MISS';
+      error.status = 404;
+      throw error;
+    }
+  }
+
+  let result;
+  try {
+    result = await scraper.scrapeAirbnbListing(url, options);
+  } catch (error) {
+    if (!options.signal?.aborted) {
+      webhooks.emit('scrape.failed', { listingId, url, error: error.message, code: error.code || null }, owner);
+    }
+    throw error;
+  }
+
+  // The recording summary, attempts and timings belong to this response only, not to the cached result
+  const { recording, attempts, timings, blockedRequests, ...scraped } = result;
+  const entry = writeEntry(key, listingId, scraped);
+  // Snapshots compare photos without their size parameter, so the sizes do not matter to history
+  const { imageSizes, ...snapshotOptions } = getKeyOptions(options);
+  const { snapshot, diff } = history.recordSnapshot(listingId, scraped, snapshotOptions);
+
+  webhooks.emit('scrape.succeeded', { listingId, url, result: scraped }, owner);
+  // A diff across different options would report gallery changes the options caused
+  if (diff && diff.changed && diff.sameOptions) {
+    webhooks.emit('listing.changed', { listingId, url, snapshot, diff }, owner);
+  }
+
+  return { listingId, ...scraped, fromCache: false, cachedAt: entry.cachedAt, attempts, timings, blockedRequests, ...(recording && { recording }) };
+};
+
+module.exports = {
+  CACHE_MODES,
+  getCacheKey,
+  scrapeListing
+};
@@ -0,0 +1,242 @@
+/**
+ * Screenshots and PDFs of listing pages.
+ *
+ * A capture opens the listing through the same navigation as a scrape (proxy, retries, locale),
+ * loads every lazy image, optionally opens the photo gallery, and renders the page as full-page
+ * PNG or WebP screenshots and/or a PDF one viewport wide. Stored captures are kept in
+ * DATA_DIR/captures/<captureId> with a manifest.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+const { withListingPage, openPhotoModal } = require('./scraper');
+const { parseListingUrl } = require('./listingUrl');
+const { scrollToLoadImages, waitForStableImages } = require('./pageWaits');
+
+const CAPTURE_FORMATS = {
+  png: { contentType: 'image/png' },
+  webp: { contentType: 'image/webp' },
+  pdf: { contentType: 'application/pdf' }
+};
+
+const VIEWPORTS = {
+  desktop: {
+    viewport: { width: 1440, height: 900, deviceScaleFactor: 1 },
+    userAgent: null
+  },
+  mobile: {
+    viewport: { width: 390, height: 844, deviceScaleFactor: 3, isMobile: true, hasTouch: true },
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1'
+  }
+};
+
+// Overlays that can be hidden by name; anything else in hide is used as a CSS selector
+const HIDE_PRESETS = {
+  cookies: [
+    '[data-testid="main-cookies-banner-container"]',
+    '[data-testid*="cookie-banner" i]',
+    '#onetrust-consent-sdk',
+    '[role="dialog"][aria-label*="cookie" i]'
+  ],
+  login: [
+    '[data-testid="login-signup-modal"]',
+    '[data-testid*="auth-modal" i]',
+    '[role="dialog"][aria-label*="log in" i]',
+    '[role="dialog"][aria-label*="sign up" i]'
+  ],
+  translation: [
+    '[role="dialog"][aria-label*="translation" i]',
+    '[data-testid="translation-announce-modal"]'
+  ]
+};
+
+const DELIVERY_MODES = ['inline', 'stored'];
+const DEFAULT_FORMATS = ['png'];
+const MAX_HIDE_SELECTORS = 20;
+
+// Screenshots need the page's images, fonts and styles; only trackers are still blocked
+const CAPTURE_BLOCK_LIST = ['analytics'];
+
+// Chromium cannot print a taller PDF page; longer listings continue on a second page
+const MAX_PDF_PAGE_HEIGHT = 19200;
+
+const isCaptureId = (captureId) => /^\d+-\d+$/.test(String(captureId));
+
+const captureDir = (captureId) => store.dataPath(path.join('captures', captureId));
+
+const manifestName = (captureId) => `captures/${captureId}/manifest.json`;
+
+/**
+ * Validate the capture options of a request body. Returns { error } or { options } with
+ * formats, viewport (preset name), hide (CSS selectors), gallery and delivery.
+ */
+const parseCaptureOptions = (body = {}) => {
+  const { formats = DEFAULT_FORMATS, viewport = 'desktop', hide = [], gallery = false, delivery = 'inline' } = body;
+
+  const formatList = Array.isArray(formats) ? formats : String(formats).split(',').map(format => format.trim());
+  if (formatList.length === 0 || formatList.some(format => !CAPTURE_FORMATS[format])) {
+    return { error: `Invalid formats. Must list one or more of: ${Object.keys(CAPTURE_FORMATS).join(', ')}.` };
+  }
+
+  if (!VIEWPORTS[viewport]) {
+    return { error: `Invalid viewport. Must be one of: ${Object.keys(VIEWPORTS).join(', ')}.` };
+  }
+
+  if (!Array.isArray(hide) || hide.length > MAX_HIDE_SELECTORS ||
+      hide.some(entry => typeof entry !== 'string' || !entry.trim() || /[{};]/.test(entry))) {
+    return { error: `Invalid hide. Must be an array of up to ${MAX_HIDE_SELECTORS} preset names (${Object.keys(HIDE_PRESETS).join(', ')}) or CSS selectors.` };
+  }
+
+  if (typeof gallery !== 'boolean') {
+    return { error: 'Invalid gallery value. Must be a boolean.' };
+  }
+
+  if (!DELIVERY_MODES.includes(delivery)) {
+    return { error: `Invalid delivery. Must be one of: ${DELIVERY_MODES.join(', ')}.` };
+  }
+
+  const selectors = hide.flatMap(entry => HIDE_PRESETS[entry.trim()] || [entry.trim()]);
+
+  return {
+    options: {
+      formats: Array.from(new Set(formatList)),
+      viewport,
+      hide: Array.from(new Set(selectors)),
+      gallery,
+      delivery
+    }
+  };
+};
+
+/**
+ * Render one artifact of the current page
+ */
+const renderArtifact = async (page, format) => {
+  if (format === 'pdf') {
+    // Print the page as it looks on screen, on one page as wide as the viewport
+    await page.emulateMediaType('screen');
+    const { width, height } = await page.evaluate(() => ({
+      width: document.documentElement.clientWidth,
+      height: document.documentElement.scrollHeight
+    }));
+    return await page.pdf({
+      width: `${width}px`,
+      height: `${Math.min(height, MAX_PDF_PAGE_HEIGHT)}px`,
+      printBackground: true
+    });
+  }
+  return await page.screenshot({ type: format, fullPage: true });
+};
+
+/**
+ * Capture a listing page
+ *
+ * Options: formats, viewport, hide and gallery (from parseCaptureOptions), plus useProxy, locale,
+ * currency and signal as for withListingPage. Resolves to the withListingPage result with
+ * viewport, galleryOpened and artifacts: [{ format, contentType, bytes, buffer }].
+ */
+const captureListing = async (url, options = {}) => {
+  const { formats = DEFAULT_FORMATS, viewport = 'desktop', hide = [], gallery = false } = options;
+  const preset = VIEWPORTS[viewport];
+
+  const hooks = {
+    beforeNavigate: async (page) => {
+      await page.setViewport(preset.viewport);
+      if (preset.userAgent) {
+        await page.setUserAgent(preset.userAgent);
+      }
+    }
+  };
+
+  const captureOptions = { ...options, kind: 'capture', blockResources: CAPTURE_BLOCK_LIST };
+
+  return await withListingPage(url, captureOptions, async (page, { startStage }) => {
+    // One rule per selector, so a selector the browser rejects does not void the others
+    if (hide.length > 0) {
+      await page.addStyleTag({ content: hide.map(selector => `${selector} { display: none !important; }`).join('\n') });
+    }
+
+    // Lazy images only load once they have been scrolled into view
+    const endScroll = startStage('scroll');
+    await scrollToLoadImages(page, { maxSteps: 50 });
+    await waitForStableImages(page, { timeoutMs: 3000 });
+    endScroll();
+
+    let galleryOpened = false;
+    if (gallery) {
+      const endGalleryOpen = startStage('gallery_open');
+      galleryOpened = await openPhotoModal(page);
+      if (galleryOpened) {
+        await scrollToLoadImages(page);
+      }
+      endGalleryOpen();
+    }
+
+    const endRender = startStage('render');
+    const artifacts = [];
+    for (const format of formats) {
+      const buffer = Buffer.from(await renderArtifact(page, format));
+      artifacts.push({ format, contentType: CAPTURE_FORMATS[format].contentType, bytes: buffer.length, buffer });
+    }
+    endRender();
+
+    console.log(`Captured ${formats.join(', ')} (${viewport}${galleryOpened ? ', gallery open' : ''})`);
+    return { url, viewport, galleryOpened, artifacts };
+  }, hooks);
+};
+
+/**
+ * Write a capture's artifacts into a new capture directory. Returns the manifest.
+ */
+const storeCapture = (capture) => {
+  const { listingId } = parseListingUrl(capture.url);
+  const captureId = `${listingId}-${Date.now()}`;
+  const dir = captureDir(captureId);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const artifacts = capture.artifacts.map(({ format, contentType, bytes, buffer }) => {
+    const file = `${captureId}.${format}`;
+    fs.writeFileSync(path.join(dir, file), buffer);
+    return { format, contentType, bytes, file };
+  });
+
+  const manifest = {
+    captureId,
+    listingId,
+    url: capture.url,
+    createdAt: new Date().toISOString(),
+    viewport: capture.viewport,
+    galleryOpened: capture.galleryOpened,
+    artifacts
+  };
+  store.writeJson(manifestName(captureId), manifest);
+
+  return manifest;
+};
+
+/**
+ * Load a capture manifest, or null if there is no such capture
+ */
+const getCapture = (captureId) => {
+  if (!isCaptureId(captureId)) return null;
+  return store.readJson(manifestName(captureId), null);
+};
+
+/**
+ * A stored artifact and its file path: { artifact, file }, or null if the capture has no artifact in that format
+ */
+const getArtifactPath = (manifest, format) => {
+  const artifact = manifest.artifacts.find(entry => entry.format === format);
+  return artifact ? { artifact, file: path.join(captureDir(manifest.captureId), artifact.file) } : null;
+};
+
+module.exports = {
+  VIEWPORTS,
+  HIDE_PRESETS,
+  parseCaptureOptions,
+  captureListing,
+  storeCapture,
+  getCapture,
+  getArtifactPath
+};
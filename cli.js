@@ -0,0 +1,370 @@
+#!/usr/bin/env node
+/**
+ * airbnb-scrape: scrape listings from the command line without running the API server.
+ *
+ * Results go to stdout (or --output) as JSON, NDJSON or CSV. Progress and, with --verbose,
+ * scraper logs go to stderr, so stdout stays machine-readable. Exits with 1 when any listing
+ * failed and 2 on invalid arguments.
+ */
+
+require('dotenv').config({ quiet: true });
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const scraper = require('./scraper');
+const browserPool = require('./browserPool');
+const { mapWithConcurrency } = require('./concurrency');
+const { parseImageFilter } = require('./imageFilter');
+const { parseImageSizes } = require('./gallery');
+const { getDefaultConcurrency, getMaxConcurrency } = require('./batch');
+const { toCsvLine } = require('./serializers');
+const { parseLocaleOptions } = require('./locale');
+const { SCRAPE_ERRORS } = require('./scrapeErrors');
+
+const FORMATS = ['json', 'ndjson', 'csv'];
+const PROXY_MODES = ['on', 'off', 'default'];
+
+const USAGE = `Usage: airbnb-scrape [options] <url...>
+       airbnb-scrape [options] --file urls.txt
+
+Options:
+  -f, --file <path>          Read listing URLs from a file, one per line ("-" for stdin)
+  -o, --output <path>        Write results to a file instead of stdout
+      --format <format>      json (default), ndjson or csv; inferred from the --output extension
+      --proxy <mode>         on, off or default (use the environment settings)
+      --max-images <n>       Maximum gallery images per listing (default: MAX_IMAGES or 100)
+      --image-filter <spec>  all, include:<types>, exclude:<types> or a JSON filter object
+      --image-sizes <list>   Image widths and/or original, such as 720,1200,original (default: 1200)
+      --locale <tag>         Page language, such as fr-FR (default: DEFAULT_LOCALE)
+      --currency <code>      Price currency, such as EUR (default: DEFAULT_CURRENCY)
+  -c, --concurrency <n>      Listings scraped at once (default: BATCH_CONCURRENCY or 2, at most BATCH_MAX_CONCURRENCY and BROWSER_POOL_SIZE)
+  -q, --quiet                No progress output
+  -v, --verbose              Print scraper logs to stderr
+  -h, --help                 Show this help
+
+Room types for --image-filter are comma separated, for example include:bedroom,kitchen.`;
+
+const CSV_COLUMNS = ['url', 'success', 'title', 'price', 'currency', 'rating', 'reviewCount', 'totalImages', 'images', 'error'];
+
+class UsageError extends Error {}
+
+/**
+ * Parse --image-filter into the same object the API accepts
+ */
+const parseImageFilterSpec = (spec) => {
+  if (spec === undefined) return undefined;
+  if (spec === 'all') return { mode: 'all' };
+  if (spec.trim().startsWith('{')) {
+    try {
+      return JSON.parse(spec);
+    } catch (error) {
+      throw new UsageError(`Invalid --image-filter JSON: ${error.message}`);
+    }
+  }
+
+  const match = spec.match(/^(include|exclude):(.+)$/);
+  if (!match) {
+    throw new UsageError('Invalid --image-filter. Use all, include:<types>, exclude:<types> or a JSON object.');
+  }
+  return { [match[1]]: match[2].split(',').map(type => type.trim()).filter(Boolean) };
+};
+
+const parsePositiveInt = (value, flag, max = Infinity) => {
+  if (value === undefined) return undefined;
+  const parsed = parseInt(value);
+  if (isNaN(parsed) || parsed < 1 || parsed > max) {
+    throw new UsageError(max === Infinity
+      ? `Invalid ${flag} value. Must be a positive integer.`
+      : `Invalid ${flag} value. Must be an integer between 1 and ${max}.`);
+  }
+  return parsed;
+};
+
+/**
+ * URLs from a file (or stdin): one per line, blank lines and # comments ignored
+ */
+const readUrlFile = (file) => fs.readFileSync(file === '-' ? 0 : file, 'utf8')
+  .split(/\r?\n/)
+  .map(line => line.trim())
+  .filter(line => line && !line.startsWith('#'));
+
+/**
+ * Turn command-line arguments into { help } or { urls, options, concurrency, format, output, quiet, verbose }
+ */
+const parseCommandLine = (argv) => {
+  let parsed;
+  try {
+    parsed = util.parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        file: { type: 'string', short: 'f' },
+        output: { type: 'string', short: 'o' },
+        format: { type: 'string' },
+        proxy: { type: 'string' },
+        'max-images': { type: 'string' },
+        'image-filter': { type: 'string' },
+        'image-sizes': { type: 'string' },
+        locale: { type: 'string' },
+        currency: { type: 'string' },
+        concurrency: { type: 'string', short: 'c' },
+        quiet: { type: 'boolean', short: 'q' },
+        verbose: { type: 'boolean', short: 'v' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    return { help: true };
+  }
+
+  const urls = [...positionals];
+  if (values.file) {
+    try {
+      urls.push(...readUrlFile(values.file));
+    } catch (error) {
+      throw new UsageError(`Could not read ${values.file}: ${error.message}`);
+    }
+  }
+  if (urls.length === 0) {
+    throw new UsageError('No listing URLs given.');
+  }
+
+  const inferredFormat = values.output ? path.extname(values.output).slice(1).toLowerCase() : null;
+  const format = values.format || (FORMATS.includes(inferredFormat) ? inferredFormat : 'json');
+  if (!FORMATS.includes(format)) {
+    throw new UsageError(`Invalid --format. Must be one of: ${FORMATS.join(', ')}.`);
+  }
+
+  const proxy = values.proxy || 'default';
+  if (!PROXY_MODES.includes(proxy)) {
+    throw new UsageError(`Invalid --proxy. Must be one of: ${PROXY_MODES.join(', ')}.`);
+  }
+
+  const { error: filterError, filter: imageFilter } = parseImageFilter(parseImageFilterSpec(values['image-filter']));
+  if (filterError) {
+    throw new UsageError(filterError);
+  }
+
+  const { error: sizesError, imageSizes } = parseImageSizes(values['image-sizes']);
+  if (sizesError) {
+    throw new UsageError(sizesError);
+  }
+
+  const { error: localeError, locale, currency } = parseLocaleOptions(values);
+  if (localeError) {
+    throw new UsageError(localeError);
+  }
+
+  return {
+    urls,
+    options: {
+      useProxy: proxy === 'default' ? undefined : proxy === 'on',
+      maxImages: parsePositiveInt(values['max-images'], '--max-images'),
+      imageFilter,
+      imageSizes,
+      locale: locale || undefined,
+      currency: currency || undefined
+    },
+    concurrency: parsePositiveInt(values.concurrency, '--concurrency', getMaxConcurrency()) || getDefaultConcurrency(),
+    format,
+    output: values.output || null,
+    quiet: Boolean(values.quiet),
+    verbose: Boolean(values.verbose)
+  };
+};
+
+/**
+ * One CSV row per listing; image URLs are joined with spaces
+ */
+const toCsvRow = (line) => {
+  const details = line.data?.details || {};
+  const row = {
+    url: line.url,
+    success: line.success,
+    title: line.data?.title,
+    price: details.price?.value,
+    currency: details.currency?.value,
+    rating: details.rating?.value,
+    reviewCount: details.reviewCount?.value,
+    totalImages: line.data?.totalImages,
+    images: line.data?.gallery?.map(image => image.url).join(' '),
+    error: line.message || line.error
+  };
+  return toCsvLine(CSV_COLUMNS.map(column => row[column]));
+};
+
+/**
+ * Writes results in the chosen format. NDJSON and CSV rows are written as each listing finishes;
+ * JSON is written once at the end as { summary, results }.
+ */
+const createWriter = (format, stream) => {
+  const results = [];
+  if (format === 'csv') {
+    stream.write(toCsvLine(CSV_COLUMNS));
+  }
+
+  return {
+    write: (line) => {
+      if (format === 'ndjson') stream.write(JSON.stringify(line) + '\n');
+      else if (format === 'csv') stream.write(toCsvRow(line));
+      else results[line.index] = line;
+    },
+    end: (summary) => new Promise((resolve, reject) => {
+      if (format === 'ndjson') stream.write(JSON.stringify(summary) + '\n');
+      if (format === 'json') stream.write(JSON.stringify({ summary, results: results.filter(Boolean) }, null, 2) + '\n');
+      // Wait for stdout to flush before the process exits
+      if (stream === process.stdout) return stream.write('', () => resolve());
+      stream.end((error) => (error ? reject(error) : resolve()));
+    })
+  };
+};
+
+/**
+ * Keep stdout for results: scraper logs go to stderr with --verbose and are dropped otherwise
+ */
+const redirectConsole = (verbose) => {
+  const toStderr = (...args) => process.stderr.write(util.format(...args) + '\n');
+  const log = verbose ? toStderr : () => {};
+  console.log = log;
+  console.info = log;
+  console.debug = log;
+  console.warn = toStderr;
+  console.error = toStderr;
+};
+
+/**
+ * Open the output file for writing. Resolves to the stream once the file is open, so an unwritable
+ * path fails before any listing is scraped.
+ */
+const openOutput = (file) => new Promise((resolve, reject) => {
+  const stream = fs.createWriteStream(file);
+  stream.once('open', () => resolve(stream));
+  stream.once('error', reject);
+});
+
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+const run = async (argv) => {
+  let command;
+  try {
+    command = parseCommandLine(argv);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    process.stderr.write(`airbnb-scrape: ${error.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  if (command.help) {
+    process.stdout.write(USAGE + '\n');
+    return 0;
+  }
+
+  const { urls, options, concurrency, format, output, quiet, verbose } = command;
+
+  let outputStream = process.stdout;
+  if (output) {
+    try {
+      outputStream = await openOutput(output);
+    } catch (error) {
+      process.stderr.write(`airbnb-scrape: Could not open ${output} for writing: ${error.message}\n`);
+      return 2;
+    }
+  }
+  redirectConsole(verbose);
+
+  const progress = (message) => {
+    if (!quiet) process.stderr.write(message + '\n');
+  };
+
+  const controller = new AbortController();
+  process.once('SIGINT', () => {
+    progress('Interrupted, finishing running scrapes...');
+    controller.abort();
+  });
+
+  // A failed write (disk full, file removed) stops the run; the error is reported when it ends
+  let writeError = null;
+  if (output) {
+    outputStream.on('error', (error) => {
+      if (!writeError) {
+        writeError = error;
+        controller.abort();
+      }
+    });
+  }
+
+  const writer = createWriter(format, outputStream);
+  const startedAt = Date.now();
+  const counts = { succeeded: 0, failed: 0, skipped: 0 };
+  let finished = 0;
+
+  progress(`Scraping ${urls.length} listing(s), ${concurrency} at a time`);
+
+  await mapWithConcurrency(urls, concurrency, async (url, index) => {
+    const itemStartedAt = Date.now();
+    let line;
+
+    try {
+      const listing = await scraper.resolveListingUrl(url, { useProxy: options.useProxy, signal: controller.signal });
+      const result = await scraper.scrapeAirbnbListing(listing.url, { ...options, signal: controller.signal });
+      line = { type: 'result', index, listingId: listing.listingId, success: true, durationMs: Date.now() - itemStartedAt, ...result };
+    } catch (error) {
+      line = {
+        type: 'result',
+        index,
+        url,
+        success: false,
+        error: SCRAPE_ERRORS[error.code]?.error || (error.status ? 'Invalid listing URL' : 'Failed to scrape the listing'),
+        message: error.message,
+        ...(error.code && { code: error.code }),
+        ...(error.attempts && { attempts: error.attempts }),
+        durationMs: Date.now() - itemStartedAt
+      };
+    }
+
+    counts[line.success ? 'succeeded' : 'failed']++;
+    finished++;
+    writer.write(line);
+
+    const status = line.success
+      ? `ok, ${line.data.totalImages} images`
+      : `FAILED${line.code ? ` (${line.code})` : ''}: ${line.message || line.error}`;
+    progress(`[${finished}/${urls.length}] ${url} ${status} (${formatSeconds(Date.now() - itemStartedAt)})`);
+  }, { signal: controller.signal });
+
+  counts.skipped = urls.length - counts.succeeded - counts.failed;
+  const summary = { type: 'summary', total: urls.length, ...counts, durationMs: Date.now() - startedAt };
+  await writer.end(summary).catch((error) => {
+    writeError = writeError || error;
+  });
+  await browserPool.shutdown();
+
+  if (writeError) {
+    process.stderr.write(`airbnb-scrape: Could not write ${output}: ${writeError.message}\n`);
+    return 2;
+  }
+
+  progress(`Done in ${formatSeconds(summary.durationMs)}: ${counts.succeeded} succeeded, ${counts.failed} failed` +
+    (counts.skipped ? `, ${counts.skipped} skipped` : ''));
+
+  return counts.failed > 0 || counts.skipped > 0 ? 1 : 0;
+};
+
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      process.stderr.write(`airbnb-scrape: ${error.stack || error.message}\n`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  parseCommandLine,
+  run
+};
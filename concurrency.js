@@ -0,0 +1,23 @@
+/**
+ * Run worker(item, index) over items with at most `limit` running at once.
+ * Resolves once every started worker has settled. Stops starting new items when the signal aborts.
+ */
+const mapWithConcurrency = async (items, limit, worker, { signal } = {}) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const lane = async () => {
+    while (next < items.length && !signal?.aborted) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const lanes = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, lane);
+  await Promise.all(lanes);
+  return results;
+};
+
+module.exports = {
+  mapWithConcurrency
+};
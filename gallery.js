@@ -0,0 +1,197 @@
+/**
+ * Gallery photos from the listing's embedded page data, and image size variants.
+ *
+ * Listing pages embed their photo tour as JSON: every photo with its caption, accessibility label,
+ * original dimensions and the room it belongs to. Reading it finds every photo without opening
+ * and scrolling the photo modal; the DOM is only used when a page does not carry the data.
+ * Photo URLs serve any width through the im_w parameter, or the original without it.
+ */
+
+const MIN_IMAGE_WIDTH = 100;
+const MAX_IMAGE_WIDTH = 3840;
+const MAX_IMAGE_SIZES = 6;
+const DEFAULT_IMAGE_SIZES = [1200];
+
+/**
+ * Photo URL for a size: an im_w width in pixels or "original"
+ */
+const buildImageUrl = (url, size) => {
+  const cleanUrl = url.split('?')[0];
+  return size === 'original' ? cleanUrl : `${cleanUrl}?im_w=${size}`;
+};
+
+/**
+ * Validate one size. Returns { error } or { size }.
+ */
+const parseImageSize = (size) => {
+  if (size === 'original') {
+    return { size };
+  }
+  const parsed = typeof size === 'number' || /^\d+$/.test(String(size).trim()) ? parseInt(size) : NaN;
+  if (isNaN(parsed) || parsed < MIN_IMAGE_WIDTH || parsed > MAX_IMAGE_WIDTH) {
+    return { error: `Invalid image size "${size}". Must be "original" or a width between ${MIN_IMAGE_WIDTH} and ${MAX_IMAGE_WIDTH}.` };
+  }
+  return { size: parsed };
+};
+
+/**
+ * Validate requested output sizes: an array or comma-separated list of widths and "original".
+ * The first size is the one used for each image's url. Returns { error } or { imageSizes }.
+ */
+const parseImageSizes = (value) => {
+  if (value === undefined || value === null) {
+    return { imageSizes: DEFAULT_IMAGE_SIZES };
+  }
+
+  const list = Array.isArray(value) ? value : String(value).split(',').map(size => size.trim()).filter(Boolean);
+  if (list.length === 0 || list.length > MAX_IMAGE_SIZES) {
+    return { error: `Invalid imageSizes. Must list 1 to ${MAX_IMAGE_SIZES} sizes.` };
+  }
+
+  const imageSizes = [];
+  for (const entry of list) {
+    const { error, size } = parseImageSize(entry);
+    if (error) return { error };
+    if (!imageSizes.includes(size)) imageSizes.push(size);
+  }
+  return { imageSizes };
+};
+
+/**
+ * Give every image its URL in the first requested size and sizes: { <size>: url } for all of them
+ */
+const applyImageSizes = (images, imageSizes = DEFAULT_IMAGE_SIZES) => images.map(image => ({
+  ...image,
+  url: buildImageUrl(image.url, imageSizes[0]),
+  sizes: Object.fromEntries(imageSizes.map(size => [String(size), buildImageUrl(image.url, size)]))
+}));
+
+/**
+ * Runs inside the page: read the gallery from the embedded photo data. Returns { images } in page
+ * order with url (without size), alt, caption, category and room (the photo tour room, when
+ * assigned), width and height (original dimensions, when known) and source "embedded".
+ * Must stay self-contained: it is serialized by page.evaluate and also run by the parse endpoint.
+ */
+const collectEmbeddedGallery = () => {
+  const roots = [];
+  document.querySelectorAll('script[type="application/json"], script[id^="data-deferred-state"], script#data-injector-instances').forEach(script => {
+    try {
+      roots.push(JSON.parse(script.textContent));
+    } catch (e) {
+      // Not JSON (or truncated), ignore
+    }
+  });
+
+  // Visit every object in the embedded state once
+  const visit = (callback) => {
+    const stack = roots.slice();
+    const seen = new Set();
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (!node || typeof node !== 'object' || seen.has(node)) continue;
+      seen.add(node);
+      callback(node);
+      for (const child of Object.values(node)) {
+        if (child && typeof child === 'object') stack.push(child);
+      }
+    }
+  };
+
+  const isText = (v) => typeof v === 'string' && v.trim() !== '';
+  const isSize = (v) => typeof v === 'number' && v > 0;
+
+  // Listing photos, not host avatars or Airbnb's own assets
+  const isPhotoUrl = (v) => isText(v) && /^https:\/\/[\w.-]*muscache\.com\/im\/pictures\//.test(v) &&
+    !/\/(user|profile|platform-assets)\b/i.test(v);
+  const photoUrl = (item) => ['baseUrl', 'originalPicture', 'xlPicture', 'largeUrl', 'picture', 'url']
+    .map(key => item[key])
+    .find(isPhotoUrl) || null;
+
+  // Photo IDs appear as numbers, strings and base64 "DemandStayListingPhoto:<id>" globals
+  const normaliseId = (id) => {
+    let text = String(id);
+    try {
+      const decoded = atob(text);
+      if (/:\d+$/.test(decoded)) text = decoded;
+    } catch (e) {
+      // Not base64
+    }
+    const match = text.match(/(\d+)$/);
+    return match ? match[1] : text;
+  };
+
+  // The gallery is the longest photo list; shorter ones belong to previews and similar listings
+  let gallery = [];
+  visit(node => {
+    for (const key of ['mediaItems', 'photos', 'images', 'listingPhotos']) {
+      const list = node[key];
+      if (!Array.isArray(list)) continue;
+      const photos = list.filter(item => item && typeof item === 'object' && photoUrl(item));
+      if (photos.length > gallery.length) gallery = photos;
+    }
+  });
+
+  // Photo tour rooms: { title, imageIds } or rooms holding their own photo lists
+  const rooms = new Map(); // photo ID or URL -> room title
+  visit(node => {
+    const title = [node.title, node.roomTitle, node.name].find(isText);
+    if (!title || title.length > 60) return;
+
+    const assign = (key) => {
+      if (!rooms.has(key)) rooms.set(key, title.trim());
+    };
+
+    for (const key of ['imageIds', 'photoIds', 'mediaIds', 'mediaItemIds']) {
+      if (Array.isArray(node[key])) {
+        node[key].forEach(id => assign(normaliseId(id)));
+      }
+    }
+    // A room's own photo list is a part of the gallery; a list as long as the gallery is the listing's
+    for (const key of ['mediaItems', 'photos', 'images']) {
+      if (Array.isArray(node[key]) && node[key].length < gallery.length) {
+        node[key].forEach(item => {
+          const url = item && typeof item === 'object' ? photoUrl(item) : null;
+          if (url) assign(url.split('?')[0]);
+        });
+      }
+    }
+  });
+
+  const seenUrls = new Set();
+  const images = [];
+  gallery.forEach(item => {
+    const url = photoUrl(item).split('?')[0];
+    if (seenUrls.has(url)) return;
+    seenUrls.add(url);
+
+    const metadata = item.imageMetadata || {};
+    const caption = [metadata.caption, item.caption].find(isText) || null;
+    const room = (item.id !== undefined && rooms.get(normaliseId(item.id))) || rooms.get(url) || null;
+    const width = [item.originalWidth, metadata.originalWidth, item.width, metadata.width].find(isSize) || null;
+    const height = [item.originalHeight, metadata.originalHeight, item.height, metadata.height].find(isSize) || null;
+
+    images.push({
+      url,
+      alt: [item.accessibilityLabel, metadata.accessibilityLabel, caption].find(isText) || '',
+      caption,
+      category: room || 'interior',
+      room,
+      width,
+      height,
+      source: 'embedded'
+    });
+  });
+
+  return { images };
+};
+
+module.exports = {
+  MIN_IMAGE_WIDTH,
+  MAX_IMAGE_WIDTH,
+  DEFAULT_IMAGE_SIZES,
+  buildImageUrl,
+  parseImageSize,
+  parseImageSizes,
+  applyImageSizes,
+  collectEmbeddedGallery
+};
@@ -0,0 +1,216 @@
+/**
+ * Versioned snapshots of listing scrape results, one file per snapshot under
+ * DATA_DIR/history/<listingId>/<version>.json, plus a semantic diff between any two versions.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const store = require('./store');
+
+const getMaxSnapshots = () => parseInt(process.env.HISTORY_MAX_SNAPSHOTS) || 100;
+
+const listingDir = (listingId) => store.dataPath(`history/${listingId}`);
+
+const snapshotName = (listingId, version) => `history/${listingId}/${version}.json`;
+
+/**
+ * Stored versions of a listing, oldest first
+ */
+const listVersions = (listingId) => {
+  if (!/^\d+$/.test(String(listingId))) return [];
+  try {
+    return fs.readdirSync(listingDir(listingId))
+      .map(file => file.match(/^(\d+)\.json$/))
+      .filter(Boolean)
+      .map(match => parseInt(match[1]))
+      .sort((a, b) => a - b);
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Load one snapshot, or null if it does not exist
+ */
+const getSnapshot = (listingId, version) => {
+  if (!listVersions(listingId).includes(version)) return null;
+  return store.readJson(snapshotName(listingId, version), null);
+};
+
+const cleanUrl = (url) => String(url).split('?')[0];
+
+/**
+ * Hash of the parts of a result that can change between scrapes
+ */
+const hashResult = (result) => crypto.createHash('sha256')
+  .update(JSON.stringify({
+    title: result.data.title,
+    details: result.data.details,
+    gallery: result.data.gallery.map(image => [cleanUrl(image.url), image.category, image.roomType])
+  }))
+  .digest('hex')
+  .slice(0, 16);
+
+/**
+ * Nightly price from a result, or null when it was not found
+ */
+const readPrice = (result) => {
+  const amount = result.data.details?.price?.value;
+  if (typeof amount !== 'number') return null;
+  return { amount, currency: result.data.details?.currency?.value || null };
+};
+
+/**
+ * Short description of a snapshot for history listings
+ */
+const summarize = (snapshot) => ({
+  version: snapshot.version,
+  capturedAt: snapshot.capturedAt,
+  url: snapshot.result.url,
+  contentHash: snapshot.contentHash,
+  changed: snapshot.changed,
+  title: snapshot.result.data.title,
+  totalImages: snapshot.result.data.totalImages,
+  galleryCount: snapshot.result.data.gallery.length,
+  price: readPrice(snapshot.result),
+  options: snapshot.options
+});
+
+/**
+ * Semantic diff between two snapshots: title, photos added/removed/reordered,
+ * photo category changes and nightly price changes.
+ */
+const diffSnapshots = (from, to) => {
+  const before = from.result.data;
+  const after = to.result.data;
+
+  const title = before.title !== after.title ? { from: before.title, to: after.title } : null;
+
+  const beforePhotos = new Map(before.gallery.map((image, position) => [cleanUrl(image.url), { image, position }]));
+  const afterPhotos = new Map(after.gallery.map((image, position) => [cleanUrl(image.url), { image, position }]));
+
+  const describe = (url, { image, position }) => ({ url, position, category: image.category, roomType: image.roomType || null });
+
+  const added = Array.from(afterPhotos).filter(([url]) => !beforePhotos.has(url)).map(([url, entry]) => describe(url, entry));
+  const removed = Array.from(beforePhotos).filter(([url]) => !afterPhotos.has(url)).map(([url, entry]) => describe(url, entry));
+
+  // Photos kept in both versions, compared by their order among the kept photos so that an
+  // added or removed photo does not count as moving everything after it
+  const keptBefore = Array.from(beforePhotos.keys()).filter(url => afterPhotos.has(url));
+  const keptAfter = Array.from(afterPhotos.keys()).filter(url => beforePhotos.has(url));
+  const reordered = keptAfter
+    .filter((url, index) => keptBefore[index] !== url)
+    .map(url => ({ url, from: beforePhotos.get(url).position, to: afterPhotos.get(url).position }));
+
+  const categoryChanges = keptAfter
+    .filter(url => {
+      const a = beforePhotos.get(url).image;
+      const b = afterPhotos.get(url).image;
+      return a.category !== b.category || (a.roomType || null) !== (b.roomType || null);
+    })
+    .map(url => {
+      const a = beforePhotos.get(url).image;
+      const b = afterPhotos.get(url).image;
+      return {
+        url,
+        from: { category: a.category, roomType: a.roomType || null },
+        to: { category: b.category, roomType: b.roomType || null }
+      };
+    });
+
+  const priceBefore = readPrice(from.result);
+  const priceAfter = readPrice(to.result);
+  let price = null;
+  if (priceBefore && priceAfter &&
+      (priceBefore.amount !== priceAfter.amount || priceBefore.currency !== priceAfter.currency)) {
+    const comparable = priceBefore.currency === priceAfter.currency;
+    price = {
+      from: priceBefore,
+      to: priceAfter,
+      change: comparable ? Math.round((priceAfter.amount - priceBefore.amount) * 100) / 100 : null,
+      changePercent: comparable && priceBefore.amount
+        ? Math.round(((priceAfter.amount - priceBefore.amount) / priceBefore.amount) * 10000) / 100
+        : null
+    };
+  }
+
+  const photos = { added, removed, reordered };
+  const changed = Boolean(title || price) || added.length > 0 || removed.length > 0 ||
+    reordered.length > 0 || categoryChanges.length > 0;
+
+  return {
+    from: { version: from.version, capturedAt: from.capturedAt },
+    to: { version: to.version, capturedAt: to.capturedAt },
+    // Different maxImages or imageFilter settings change the gallery on their own
+    sameOptions: JSON.stringify(from.options) === JSON.stringify(to.options),
+    changed,
+    title,
+    photos,
+    categoryChanges,
+    price,
+    priceAvailable: Boolean(priceBefore && priceAfter)
+  };
+};
+
+/**
+ * Newest stored snapshot scraped with the same options, or null if there is none
+ */
+const findPreviousSnapshot = (listingId, versions, options) => {
+  const wanted = JSON.stringify(options);
+  for (const version of [...versions].reverse()) {
+    const snapshot = store.readJson(snapshotName(listingId, version), null);
+    if (snapshot && JSON.stringify(snapshot.options) === wanted) return snapshot;
+  }
+  return null;
+};
+
+/**
+ * Store a successful scrape result as the next snapshot of its listing.
+ * Returns the snapshot summary and the diff against the newest snapshot scraped with the same
+ * options (null when there is none), since other options change the result on their own.
+ */
+const recordSnapshot = (listingId, result, options = {}) => {
+  const versions = listVersions(listingId);
+  const latest = versions.length > 0 ? versions[versions.length - 1] : 0;
+  const previous = findPreviousSnapshot(listingId, versions, options);
+
+  const contentHash = hashResult(result);
+  const snapshot = {
+    listingId,
+    version: latest + 1,
+    capturedAt: new Date().toISOString(),
+    contentHash,
+    changed: previous ? previous.contentHash !== contentHash : true,
+    options,
+    result
+  };
+  store.writeJson(snapshotName(listingId, snapshot.version), snapshot);
+
+  // Drop the oldest snapshots beyond the retention limit
+  const overflow = versions.length + 1 - getMaxSnapshots();
+  versions.slice(0, Math.max(0, overflow)).forEach(version => {
+    fs.rmSync(store.dataPath(snapshotName(listingId, version)), { force: true });
+  });
+
+  return {
+    snapshot: summarize(snapshot),
+    diff: previous ? diffSnapshots(previous, snapshot) : null
+  };
+};
+
+/**
+ * Summaries of every stored snapshot of a listing, newest first
+ */
+const getHistory = (listingId) => listVersions(listingId)
+  .reverse()
+  .map(version => store.readJson(snapshotName(listingId, version), null))
+  .filter(Boolean)
+  .map(summarize);
+
+module.exports = {
+  listVersions,
+  getSnapshot,
+  getHistory,
+  recordSnapshot,
+  diffSnapshots
+};
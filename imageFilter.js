@@ -0,0 +1,157 @@
+/**
+ * Gallery image classification and filtering over a fixed room taxonomy.
+ *
+ * Airbnb labels photos in the page locale, so each room type carries keywords in the
+ * languages Airbnb serves most often (English, Spanish, French, German, Italian, Portuguese,
+ * Dutch). Room types are checked in order, so outdoor types win over the rooms they look into
+ * ("Bedroom with city view" is a view).
+ */
+
+const ROOM_TYPES = {
+  pool: ['pool', 'hot tub', 'jacuzzi', 'piscina', 'piscine', 'schwimmbad', 'zwembad', 'whirlpool'],
+  view: ['view from', 'city view', 'sea view', 'ocean view', 'mountain view', 'vista', 'vistas', 'vue', 'aussicht', 'uitzicht', 'panorama'],
+  exterior: [
+    'exterior', 'outside', 'street', 'building', 'neighbourhood', 'neighborhood', 'façade', 'facade', 'aerial',
+    'fachada', 'calle', 'edificio', 'barrio', 'extérieur', 'rue', 'immeuble', 'quartier', 'außenansicht',
+    'aussenansicht', 'straße', 'gebäude', 'nachbarschaft', 'esterno', 'facciata', 'quartiere',
+    'rua', 'prédio', 'bairro', 'buitenkant', 'gevel', 'straat', 'buurt'
+  ],
+  outdoor: [
+    'balcony', 'balcon', 'balcón', 'patio', 'terrace', 'deck', 'porch', 'yard', 'backyard', 'roof', 'rooftop',
+    'outdoor', 'terraza', 'azotea', 'terrasse', 'toit', 'balkon', 'dachterrasse', 'terrazza', 'balcone',
+    'terraço', 'varanda', 'quintal', 'dakterras', 'buiten'
+  ],
+  garden: ['garden', 'lawn', 'jardín', 'jardin', 'garten', 'giardino', 'jardim', 'tuin'],
+  entrance: ['entrance', 'entry', 'entryway', 'hallway', 'entrada', 'recibidor', 'entrée', 'eingang', 'flur', 'ingresso', 'ingang'],
+  bedroom: [
+    'bedroom', 'bed', 'dormitorio', 'habitación', 'recámara', 'chambre', 'schlafzimmer',
+    'camera da letto', 'letto', 'quarto', 'cama', 'slaapkamer'
+  ],
+  bathroom: [
+    'bathroom', 'bath', 'toilet', 'shower', 'half bath', 'baño', 'aseo', 'ducha', 'salle de bain', 'salle d\'eau',
+    'douche', 'badezimmer', 'bad', 'dusche', 'bagno', 'doccia', 'banheiro', 'casa de banho', 'badkamer', 'wc'
+  ],
+  kitchen: [
+    'kitchen', 'kitchenette', 'cocina', 'cuisine', 'küche', 'kochnische', 'cucina', 'cozinha', 'keuken'
+  ],
+  dining: ['dining', 'comedor', 'salle à manger', 'esszimmer', 'essbereich', 'sala da pranzo', 'sala de jantar', 'eetkamer'],
+  living: [
+    'living', 'lounge', 'sitting', 'family room', 'sala de estar', 'salón', 'salon', 'séjour', 'wohnzimmer',
+    'soggiorno', 'salotto', 'sala', 'woonkamer'
+  ],
+  workspace: ['workspace', 'office', 'study', 'desk', 'oficina', 'despacho', 'bureau', 'arbeitszimmer', 'büro', 'ufficio', 'escritório', 'werkplek'],
+  laundry: ['laundry', 'washer', 'lavandería', 'buanderie', 'waschküche', 'lavanderia', 'wasruimte'],
+  gym: ['gym', 'fitness', 'gimnasio', 'salle de sport', 'fitnessraum', 'palestra', 'academia', 'sportschool'],
+  other: []
+};
+
+const ROOM_TYPE_NAMES = Object.keys(ROOM_TYPES);
+
+// Default behaviour: interior photos only
+const DEFAULT_EXCLUDE = ['pool', 'view', 'exterior', 'outdoor', 'garden', 'entrance'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Keywords match at the start of a word so "bed" matches "bedroom" but not "embedded"
+const MATCHERS = ROOM_TYPE_NAMES.map(roomType => ({
+  roomType,
+  patterns: ROOM_TYPES[roomType].map(keyword => new RegExp(`(?:^|[^\\p{L}])${escapeRegExp(keyword)}`, 'iu'))
+}));
+
+/**
+ * Map text labels to the first room type that any of them matches, or null if nothing matches
+ */
+const matchRoomType = (...texts) => {
+  const labels = texts.filter(Boolean);
+  if (labels.length === 0) return null;
+  const match = MATCHERS.find(({ patterns }) => patterns.some(pattern => labels.some(label => pattern.test(label))));
+  return match ? match.roomType : null;
+};
+
+/**
+ * Classify a gallery image from Airbnb's category label or its alt text, so a bedroom photo
+ * whose alt text describes the view is still a view
+ */
+const classifyImage = (image) => {
+  const category = image.category && image.category !== 'interior' ? image.category : '';
+  return matchRoomType(category, image.alt) || 'other';
+};
+
+/**
+ * Validate a request-level imageFilter. Returns { error } or { filter }.
+ *
+ * { mode: 'all' } disables filtering. Otherwise include keeps only the listed room types
+ * and exclude drops the listed ones; with neither, the DEFAULT_EXCLUDE types (pool, view, exterior,
+ * outdoor, garden and entrance) are dropped.
+ */
+const parseImageFilter = (imageFilter) => {
+  if (imageFilter === undefined || imageFilter === null) {
+    return { filter: { mode: 'filter', include: null, exclude: DEFAULT_EXCLUDE } };
+  }
+
+  if (typeof imageFilter !== 'object' || Array.isArray(imageFilter)) {
+    return { error: 'Invalid imageFilter. Must be an object with mode, include and/or exclude.' };
+  }
+
+  const { mode = 'filter', include, exclude } = imageFilter;
+  if (!['all', 'filter'].includes(mode)) {
+    return { error: 'Invalid imageFilter.mode. Must be "all" or "filter".' };
+  }
+  if (mode === 'all') {
+    return { filter: { mode: 'all', include: null, exclude: [] } };
+  }
+
+  for (const [name, list] of [['include', include], ['exclude', exclude]]) {
+    if (list === undefined) continue;
+    if (!Array.isArray(list) || list.some(type => !ROOM_TYPE_NAMES.includes(type))) {
+      return { error: `Invalid imageFilter.${name}. Must be an array of room types: ${ROOM_TYPE_NAMES.join(', ')}.` };
+    }
+  }
+
+  return {
+    filter: {
+      mode: 'filter',
+      include: include ? Array.from(new Set(include)).sort() : null,
+      exclude: exclude ? Array.from(new Set(exclude)).sort() : (include ? [] : DEFAULT_EXCLUDE)
+    }
+  };
+};
+
+/**
+ * Tag every image with its room type and split the gallery into kept and excluded images
+ */
+const applyImageFilter = (images, filter = parseImageFilter().filter) => {
+  const kept = [];
+  const excluded = [];
+
+  for (const image of images) {
+    const roomType = classifyImage(image);
+    const tagged = { ...image, roomType };
+
+    let reason = null;
+    if (filter.mode !== 'all') {
+      if (filter.include && !filter.include.includes(roomType)) {
+        reason = `roomType "${roomType}" is not in the include list`;
+      } else if (filter.exclude.includes(roomType)) {
+        reason = `roomType "${roomType}" is excluded`;
+      }
+    }
+
+    if (reason) {
+      console.log(`Filtering out ${roomType} image: ${image.alt || image.category}`);
+      excluded.push({ url: image.url, category: image.category, alt: image.alt, roomType, reason });
+    } else {
+      kept.push(tagged);
+    }
+  }
+
+  return { images: kept, excluded };
+};
+
+module.exports = {
+  ROOM_TYPE_NAMES,
+  DEFAULT_EXCLUDE,
+  classifyImage,
+  parseImageFilter,
+  applyImageFilter
+};
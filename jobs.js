@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const store = require('./store');
+const cache = require('./cache');
+const webhooks = require('./webhooks');
+const { runWithContext, getRequestId } = require('./logger');
+
+const JOBS_FILE = 'jobs.json';
+const FINISHED_STATES = ['succeeded', 'failed', 'cancelled'];
+
+const jobs = new Map();
+const queue = [];
+const controllers = new Map(); // job id -> AbortController for running jobs
+
+const getConcurrency = () => parseInt(process.env.JOB_CONCURRENCY) || 2;
+const getRetentionMs = () => (parseInt(process.env.JOB_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
+
+/**
+ * Persist all jobs to the local store
+ */
+const persist = () => {
+  store.writeJson(JOBS_FILE, Array.from(jobs.values()));
+};
+
+/**
+ * Drop finished jobs older than the retention window
+ */
+const prune = () => {
+  const cutoff = Date.now() - getRetentionMs();
+  for (const [id, job] of jobs) {
+    if (FINISHED_STATES.includes(job.state) && new Date(job.finishedAt).getTime() < cutoff) {
+      jobs.delete(id);
+    }
+  }
+};
+
+/**
+ * Shape a job for API responses
+ */
+const toPublicJob = (job) => {
+  const created = new Date(job.createdAt).getTime();
+  const started = job.startedAt ? new Date(job.startedAt).getTime() : null;
+  const finished = job.finishedAt ? new Date(job.finishedAt).getTime() : null;
+
+  return {
+    id: job.id,
+    state: job.state,
+    request: job.request,
+    timings: {
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      queuedMs: started ? started - created : null,
+      runMs: started && finished ? finished - started : null
+    },
+    result: job.result,
+    error: job.error,
+    errorCode: job.errorCode || null,
+    attempts: job.attempts || null
+  };
+};
+
+/**
+ * Deliver a finished job to the callback URL it was created with. Cancelled jobs are not reported.
+ */
+const notifyCallback = (job) => {
+  if (!job.request.callbackUrl || job.state === 'cancelled') return;
+
+  const event = job.state === 'succeeded' ? 'scrape.succeeded' : 'scrape.failed';
+  webhooks.sendCallback(job.request.callbackUrl, event, { job: toPublicJob(job) }, job.owner || null);
+};
+
+/**
+ * Run a single job and record its outcome
+ */
+const runJob = async (job) => {
+  const controller = new AbortController();
+  controllers.set(job.id, controller);
+
+  job.state = 'running';
+  job.startedAt = new Date().toISOString();
+  persist();
+  console.log(`Job ${job.id} started: ${job.request.url}`);
+
+  try {
+    const { url, callbackUrl, ...options } = job.request;
+    const result = await cache.scrapeListing(url, {
+      ...options,
+      owner: job.owner || null,
+      signal: controller.signal
+    });
+
+    if (!controller.signal.aborted) {
+      job.state = 'succeeded';
+      job.result = result;
+    }
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      job.state = 'failed';
+      job.error = error.message;
+      job.errorCode = error.code || null;
+      job.attempts = error.attempts || null;
+    }
+  } finally {
+    controllers.delete(job.id);
+    if (controller.signal.aborted) {
+      job.state = 'cancelled';
+    }
+    job.finishedAt = job.finishedAt || new Date().toISOString();
+    persist();
+    console.log(`Job ${job.id} ${job.state}`);
+    notifyCallback(job);
+  }
+};
+
+/**
+ * Start queued jobs while there are free slots
+ */
+const drainQueue = () => {
+  while (controllers.size < getConcurrency() && queue.length > 0) {
+    const job = jobs.get(queue.shift());
+    if (!job || job.state !== 'queued') continue;
+    // Log lines from the job carry its ID and the ID of the request that created it
+    runWithContext({ requestId: job.requestId || null, jobId: job.id }, () => runJob(job)).then(drainQueue);
+  }
+};
+
+/**
+ * Create a scrape job and queue it. owner is the ID of the API key that created it (null when API
+ * keys are disabled); its scrape events and callback belong to that key.
+ */
+const createJob = (request, owner = null) => {
+  prune();
+
+  const job = {
+    id: crypto.randomUUID(),
+    state: 'queued',
+    request,
+    owner,
+    requestId: getRequestId(),
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null,
+    errorCode: null,
+    attempts: null
+  };
+
+  jobs.set(job.id, job);
+  queue.push(job.id);
+  persist();
+  drainQueue();
+
+  return toPublicJob(job);
+};
+
+/**
+ * Look up a job by ID. Jobs of another owner are not found; a null owner sees every job.
+ */
+const getJob = (id, owner = null) => {
+  const job = jobs.get(id);
+  return job && (owner === null || job.owner === owner) ? toPublicJob(job) : null;
+};
+
+/**
+ * Cancel a queued or running job. Returns null if the job does not exist.
+ */
+const cancelJob = (id) => {
+  const job = jobs.get(id);
+  if (!job) return null;
+
+  if (job.state === 'queued') {
+    const index = queue.indexOf(id);
+    if (index !== -1) queue.splice(index, 1);
+    job.state = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+    persist();
+  } else if (job.state === 'running') {
+    // The running scrape notices the abort and closes its browser
+    controllers.get(id)?.abort();
+    job.state = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+    persist();
+  }
+
+  return toPublicJob(job);
+};
+
+/**
+ * Load persisted jobs and resume anything that was queued or running before a restart
+ */
+const init = () => {
+  const saved = store.readJson(JOBS_FILE, []);
+
+  for (const job of saved) {
+    if (job.state === 'queued' || job.state === 'running') {
+      job.state = 'queued';
+      job.startedAt = null;
+      queue.push(job.id);
+    }
+    jobs.set(job.id, job);
+  }
+
+  prune();
+  persist();
+
+  if (queue.length > 0) {
+    console.log(`Resuming ${queue.length} unfinished job(s)`);
+  }
+  drainQueue();
+};
+
+module.exports = {
+  FINISHED_STATES,
+  init,
+  createJob,
+  getJob,
+  cancelJob
+};
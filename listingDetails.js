@@ -0,0 +1,285 @@
+/**
+ * Structured listing facts (price, rating, capacity, amenities, host, location).
+ *
+ * Facts are read from the JSON state Airbnb embeds in the page first, then from the rendered
+ * DOM. Every field is returned as { value, source } where source is 'embedded', 'dom' or null
+ * when the fact could not be found.
+ */
+
+const DETAIL_FIELDS = [
+  'price', 'currency', 'rating', 'reviewCount', 'guests', 'bedrooms', 'beds', 'baths',
+  'propertyType', 'amenities', 'hostName', 'isSuperhost', 'latitude', 'longitude'
+];
+
+/**
+ * Runs inside the page. Must stay self-contained: it is serialized by page.evaluate.
+ */
+const collectListingDetails = () => {
+  const CURRENCY_SYMBOLS = {
+    'A$': 'AUD', 'C$': 'CAD', 'NZ$': 'NZD', 'HK$': 'HKD', 'R$': 'BRL', 'MX$': 'MXN',
+    '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR', '₩': 'KRW',
+    '₺': 'TRY', '₽': 'RUB', '₪': 'ILS', '฿': 'THB', '₫': 'VND', 'zł': 'PLN',
+    'kr': 'SEK', 'CHF': 'CHF', 'R': 'ZAR'
+  };
+
+  const found = (value, source) => ({ value, source });
+  const missing = () => ({ value: null, source: null });
+
+  // --- Embedded JSON state ---------------------------------------------------
+  const roots = [];
+  document.querySelectorAll('script[type="application/json"], script[type="application/ld+json"], script[id^="data-deferred-state"], script#data-injector-instances').forEach(script => {
+    try {
+      roots.push(JSON.parse(script.textContent));
+    } catch (e) {
+      // Not JSON (or truncated), ignore
+    }
+  });
+
+  // Depth-first search for the first value under any of the keys that passes the check
+  const findValue = (keys, check = (v) => v !== null && v !== undefined && v !== '') => {
+    const stack = roots.slice();
+    const seen = new Set();
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (!node || typeof node !== 'object' || seen.has(node)) continue;
+      seen.add(node);
+
+      for (const key of keys) {
+        if (Object.prototype.hasOwnProperty.call(node, key) && check(node[key])) {
+          return node[key];
+        }
+      }
+      for (const child of Object.values(node)) {
+        if (child && typeof child === 'object') stack.push(child);
+      }
+    }
+    return null;
+  };
+
+  // Collect every object that has the given key
+  const findAll = (key) => {
+    const results = [];
+    const stack = roots.slice();
+    const seen = new Set();
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (!node || typeof node !== 'object' || seen.has(node)) continue;
+      seen.add(node);
+      if (Object.prototype.hasOwnProperty.call(node, key)) results.push(node);
+      for (const child of Object.values(node)) {
+        if (child && typeof child === 'object') stack.push(child);
+      }
+    }
+    return results;
+  };
+
+  const isNumber = (v) => typeof v === 'number' && !isNaN(v);
+  const isNumeric = (v) => isNumber(v) || (typeof v === 'string' && v.trim() !== '' && !isNaN(Number(v)));
+  const isText = (v) => typeof v === 'string' && v.trim() !== '';
+
+  // --- Text helpers ----------------------------------------------------------
+  const parsePrice = (text) => {
+    if (!text) return null;
+    const match = text.match(/([A-Z]{3}|[A-Z]{0,2}[$€£¥₹₩₺₽₪฿₫]|zł|kr|CHF)?\s*([\d.,\s]*\d)\s*(zł|kr|[A-Z]{3}|[€£])?/);
+    if (!match) return null;
+
+    const symbol = (match[1] || match[3] || '').trim();
+    let number = match[2].replace(/\s/g, '');
+    // Treat the last separator as decimal only when followed by exactly two digits
+    if (/[.,]\d{2}$/.test(number)) {
+      number = number.slice(0, -3).replace(/[.,]/g, '') + '.' + number.slice(-2);
+    } else {
+      number = number.replace(/[.,]/g, '');
+    }
+
+    const amount = parseFloat(number);
+    if (isNaN(amount)) return null;
+
+    const currency = /^[A-Z]{3}$/.test(symbol) ? symbol : (CURRENCY_SYMBOLS[symbol] || null);
+    return { amount, currency };
+  };
+
+  const parseCount = (text, pattern) => {
+    const match = text && text.match(pattern);
+    return match ? parseFloat(match[1].replace(',', '.')) : null;
+  };
+
+  const GUESTS = /(\d+)\s*(?:guests?|huéspedes|voyageurs|gäste|ospiti|hóspedes)/i;
+  const BEDROOMS = /(\d+)\s*(?:bedrooms?|habitaci|chambres?|schlafzimmer|camer|quartos?)/i;
+  const BEDS = /(\d+)\s*(?:beds?|camas?|lits?|betten?|letti?)\b/i;
+  const BATHS = /(\d+(?:[.,]\d)?)\s*(?:(?:shared|private)\s+)?(?:baths?|bathrooms?|baños?|salles? de bain|badezimmer|bagni|bagno|banheiros?)/i;
+
+  // --- DOM helpers -----------------------------------------------------------
+  const sectionText = (selector) => {
+    const el = document.querySelector(selector);
+    return el ? el.textContent.replace(/\s+/g, ' ').trim() : '';
+  };
+
+  const overviewText = sectionText('[data-section-id="OVERVIEW_DEFAULT_V2"]') ||
+    sectionText('[data-section-id="OVERVIEW_DEFAULT"]');
+
+  const details = {};
+
+  // Price and currency
+  const embeddedPrice = findValue(['discountedPrice', 'price', 'priceString', 'originalPrice'],
+    (v) => isText(v) && /\d/.test(v) && v.length < 40);
+  const embeddedCurrency = findValue(['currency', 'currencyCode', 'priceCurrency'], (v) => isText(v) && /^[A-Z]{3}$/.test(v));
+  const parsedEmbeddedPrice = parsePrice(embeddedPrice);
+
+  if (parsedEmbeddedPrice) {
+    details.price = found(parsedEmbeddedPrice.amount, 'embedded');
+  } else {
+    const domPrice = parsePrice(sectionText('[data-section-id="BOOK_IT_SIDEBAR"] span[class*="price" i]') ||
+      sectionText('[data-testid="book-it-default"]') ||
+      sectionText('[data-section-id="BOOK_IT_SIDEBAR"]'));
+    details.price = domPrice ? found(domPrice.amount, 'dom') : missing();
+  }
+
+  if (embeddedCurrency) {
+    details.currency = found(embeddedCurrency, 'embedded');
+  } else if (parsedEmbeddedPrice?.currency) {
+    details.currency = found(parsedEmbeddedPrice.currency, 'embedded');
+  } else {
+    const domPrice = parsePrice(sectionText('[data-section-id="BOOK_IT_SIDEBAR"]'));
+    details.currency = domPrice?.currency ? found(domPrice.currency, 'dom') : missing();
+  }
+
+  // Rating and review count
+  const embeddedRating = findValue(['guestSatisfactionOverall', 'overallRating', 'starRating', 'ratingValue', 'avgRating'],
+    (v) => isNumeric(v) && Number(v) > 0 && Number(v) <= 5);
+  if (embeddedRating !== null) {
+    details.rating = found(Number(embeddedRating), 'embedded');
+  } else {
+    const ratingEl = document.querySelector('[data-testid="pdp-reviews-highlight-banner-host-rating"], [aria-label*="out of 5" i]');
+    const domRating = parseCount(ratingEl?.getAttribute('aria-label') || ratingEl?.textContent, /(\d[.,]\d{1,2})/);
+    details.rating = domRating !== null ? found(domRating, 'dom') : missing();
+  }
+
+  const embeddedReviewCount = findValue(['visibleReviewCount', 'reviewCount', 'overallCount', 'reviewsCount'], isNumeric);
+  if (embeddedReviewCount !== null) {
+    details.reviewCount = found(parseInt(embeddedReviewCount), 'embedded');
+  } else {
+    const match = (sectionText('[data-section-id="REVIEWS_DEFAULT"]') || document.body.textContent).match(/(\d[\d,.]*)\s*reviews?/i);
+    details.reviewCount = match ? found(parseInt(match[1].replace(/[,.]/g, '')), 'dom') : missing();
+  }
+
+  // Capacity: guests, bedrooms, beds, baths
+  const overviewItems = findAll('overviewItems')
+    .flatMap(node => Array.isArray(node.overviewItems) ? node.overviewItems : [])
+    .map(item => item?.title || '')
+    .join(' · ');
+
+  const capacity = [
+    ['guests', ['personCapacity', 'guestCapacity', 'maxGuestCapacity'], GUESTS],
+    ['bedrooms', ['bedroomCount', 'bedrooms'], BEDROOMS],
+    ['beds', ['bedCount', 'beds'], BEDS],
+    ['baths', ['bathroomCount', 'bathrooms'], BATHS]
+  ];
+
+  for (const [field, keys, pattern] of capacity) {
+    const embedded = findValue(keys, isNumeric);
+    const fromOverviewItems = parseCount(overviewItems, pattern);
+    const fromDom = parseCount(overviewText, pattern);
+
+    if (embedded !== null) {
+      details[field] = found(Number(embedded), 'embedded');
+    } else if (fromOverviewItems !== null) {
+      details[field] = found(fromOverviewItems, 'embedded');
+    } else if (fromDom !== null) {
+      details[field] = found(fromDom, 'dom');
+    } else {
+      details[field] = missing();
+    }
+  }
+
+  // Property type
+  const embeddedType = findValue(['propertyType', 'roomType', 'roomTypeCategory'], isText);
+  if (embeddedType) {
+    details.propertyType = found(embeddedType, 'embedded');
+  } else {
+    const heading = document.querySelector('[data-section-id="OVERVIEW_DEFAULT_V2"] h2, [data-section-id="OVERVIEW_DEFAULT"] h2');
+    const text = heading?.textContent?.trim();
+    details.propertyType = text ? found(text.split(/\s+in\s+/i)[0], 'dom') : missing();
+  }
+
+  // Amenities
+  const embeddedAmenities = [];
+  findAll('amenities').forEach(node => {
+    if (!Array.isArray(node.amenities)) return;
+    node.amenities.forEach(amenity => {
+      if (amenity && isText(amenity.title) && amenity.available !== false && !embeddedAmenities.includes(amenity.title)) {
+        embeddedAmenities.push(amenity.title);
+      }
+    });
+  });
+  if (embeddedAmenities.length > 0) {
+    details.amenities = found(embeddedAmenities, 'embedded');
+  } else {
+    const domAmenities = Array.from(document.querySelectorAll('[data-section-id="AMENITIES_DEFAULT"] li, [data-section-id="AMENITIES_DEFAULT"] [role="listitem"]'))
+      .map(el => el.textContent.trim())
+      .filter(text => text && !/unavailable/i.test(text));
+    details.amenities = domAmenities.length > 0 ? found(Array.from(new Set(domAmenities)), 'dom') : missing();
+  }
+
+  // Host name and superhost flag
+  const hostCard = findValue(['cardData'], (v) => v && typeof v === 'object' && isText(v.name));
+  const embeddedHostName = hostCard?.name || findValue(['hostName'], isText);
+  if (embeddedHostName) {
+    details.hostName = found(embeddedHostName, 'embedded');
+  } else {
+    const hostText = sectionText('[data-section-id="HOST_OVERVIEW_DEFAULT"]') || sectionText('[data-section-id="MEET_YOUR_HOST"]');
+    const match = hostText.match(/Hosted by\s+([^·\n]+?)(?:\s*(?:Superhost|·|\d|$))/i);
+    details.hostName = match ? found(match[1].trim(), 'dom') : missing();
+  }
+
+  const embeddedSuperhost = hostCard && typeof hostCard.isSuperhost === 'boolean'
+    ? hostCard.isSuperhost
+    : findValue(['isSuperhost', 'isSuperHost'], (v) => typeof v === 'boolean');
+  if (embeddedSuperhost !== null) {
+    details.isSuperhost = found(embeddedSuperhost, 'embedded');
+  } else {
+    const hostText = sectionText('[data-section-id="HOST_OVERVIEW_DEFAULT"]') || sectionText('[data-section-id="MEET_YOUR_HOST"]');
+    details.isSuperhost = hostText ? found(/superhost/i.test(hostText), 'dom') : missing();
+  }
+
+  // Approximate location: both coordinates from one object, so a map pin for another listing
+  // cannot supply one of them. The listing's own keys win over the generic ones.
+  const isCoordinate = (v, limit) => isNumeric(v) && Math.abs(Number(v)) <= limit;
+  let embeddedLocation = null;
+  for (const [latKey, lngKey] of [['listingLat', 'listingLng'], ['lat', 'lng'], ['latitude', 'longitude']]) {
+    const node = findAll(latKey).find(candidate => isCoordinate(candidate[latKey], 90) && isCoordinate(candidate[lngKey], 180));
+    if (node) {
+      embeddedLocation = { latitude: Number(node[latKey]), longitude: Number(node[lngKey]) };
+      break;
+    }
+  }
+  if (embeddedLocation) {
+    details.latitude = found(embeddedLocation.latitude, 'embedded');
+    details.longitude = found(embeddedLocation.longitude, 'embedded');
+  } else {
+    const mapLink = document.querySelector('a[href*="maps.google"], a[href*="google.com/maps"]');
+    const match = mapLink?.getAttribute('href')?.match(/[?&](?:ll|q|center)=(-?\d+\.\d+),(-?\d+\.\d+)/);
+    details.latitude = match ? found(parseFloat(match[1]), 'dom') : missing();
+    details.longitude = match ? found(parseFloat(match[2]), 'dom') : missing();
+  }
+
+  return details;
+};
+
+/**
+ * Extract structured listing facts from the page
+ */
+const extractListingDetails = async (page) => {
+  try {
+    return await page.evaluate(collectListingDetails);
+  } catch (error) {
+    console.log('Could not extract listing details:', error.message);
+    return Object.fromEntries(DETAIL_FIELDS.map(field => [field, { value: null, source: null }]));
+  }
+};
+
+module.exports = {
+  DETAIL_FIELDS,
+  collectListingDetails,
+  extractListingDetails
+};
@@ -0,0 +1,234 @@
+/**
+ * Listing URL canonicalisation and listing-ID resolution.
+ *
+ * Recognises /rooms/<id>, /rooms/plus/<id> and /luxury/listing/<id> directly. /h/<slug> vanity URLs
+ * and abnb.me short links are resolved by loading them (following redirects, then reading the page's
+ * canonical link): over plain HTTP by default, or through a proxied browser (see scraper.resolveListingUrl). Canonical URLs keep only the parameters that change what the listing page shows
+ * (dates and guests); tracking parameters are dropped.
+ */
+
+const AIRBNB_HOST_PATTERN = /^(www\.)?airbnb\.(com|co\.[a-z]{2}|[a-z]{2,3})$/i;
+const SHORT_LINK_HOST_PATTERN = /^((www\.)?abnb\.me|airbnb\.app\.link)$/i;
+
+const LISTING_PATHS = [
+  { type: 'plus', pattern: /^\/rooms\/plus\/(\d+)(?:\/.*)?$/, path: (id) => `/rooms/plus/${id}` },
+  { type: 'luxury', pattern: /^\/luxury\/listing\/(\d+)(?:\/.*)?$/, path: (id) => `/luxury/listing/${id}` },
+  { type: 'room', pattern: /^\/rooms\/(\d+)(?:\/.*)?$/, path: (id) => `/rooms/${id}` }
+];
+
+const VANITY_PATH = /^\/h\/[\w-]+\/?$/;
+
+// Airbnb pages that are not listings, named in the error so callers know what they sent
+const UNSUPPORTED_PAGES = [
+  { pattern: /^\/s\//, name: 'a search results page (use POST /api/search)' },
+  { pattern: /^\/wishlists?\b/, name: 'a wishlist' },
+  { pattern: /^\/experiences\b/, name: 'an experience' },
+  { pattern: /^\/(help|resources)\b/, name: 'a help page' },
+  { pattern: /^\/users\b/, name: 'a user profile' },
+  { pattern: /^\/(trips|messages|account-settings|hosting)\b/, name: 'an account page' }
+];
+
+// Parameters that change the listing page; aliases map older names onto the current ones
+const KEPT_PARAMS = ['check_in', 'check_out', 'adults', 'children', 'infants', 'pets'];
+const PARAM_ALIASES = { checkin: 'check_in', checkout: 'check_out' };
+
+const getResolveTimeoutMs = () => parseInt(process.env.URL_RESOLVE_TIMEOUT_MS) || 10000;
+
+const MAX_RESOLVED = 1000;
+const resolved = new Map(); // vanity URL or short link (without query) -> { type, listingId, hostname }
+
+const urlError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const isAirbnbHostname = (hostname) => AIRBNB_HOST_PATTERN.test(hostname);
+
+/**
+ * Query string with only the kept parameters, in a fixed order
+ */
+const keptParams = (searchParams) => {
+  const params = new URLSearchParams();
+  const values = {};
+  for (const [name, value] of searchParams) {
+    const key = PARAM_ALIASES[name.toLowerCase()] || name.toLowerCase();
+    if (KEPT_PARAMS.includes(key) && value && values[key] === undefined) {
+      values[key] = value;
+    }
+  }
+  KEPT_PARAMS.forEach(key => {
+    if (values[key] !== undefined) params.set(key, values[key]);
+  });
+  return params;
+};
+
+const buildCanonicalUrl = (hostname, type, listingId, params) => {
+  const host = hostname.toLowerCase().replace(/^(?!www\.)/, 'www.');
+  const query = params.toString();
+  const { path } = LISTING_PATHS.find(entry => entry.type === type);
+  return `https://${host}${path(listingId)}${query ? `?${query}` : ''}`;
+};
+
+/**
+ * Classify a URL without network access
+ *
+ * Returns { error, code } for URLs that can never be scraped, { type, listingId, url } for direct
+ * listing URLs (url is canonical) and { type: 'vanity' | 'short', listingId: null, url } for URLs
+ * that resolveListingUrl has to look up.
+ */
+const parseListingUrl = (url) => {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (error) {
+    return { error: 'Invalid URL', code: 'INVALID_URL' };
+  }
+
+  if (!['http:', 'https:'].includes(urlObj.protocol)) {
+    return { error: 'Invalid URL. Must be an http or https URL.', code: 'INVALID_URL' };
+  }
+
+  if (SHORT_LINK_HOST_PATTERN.test(urlObj.hostname)) {
+    return { type: 'short', listingId: null, url: urlObj.toString() };
+  }
+
+  if (!isAirbnbHostname(urlObj.hostname)) {
+    return { error: 'Invalid Airbnb URL. Please provide a valid Airbnb listing URL.', code: 'INVALID_URL' };
+  }
+
+  const pathname = urlObj.pathname.replace(/\/{2,}/g, '/');
+  for (const { type, pattern } of LISTING_PATHS) {
+    const match = pathname.match(pattern);
+    if (match) {
+      return { type, listingId: match[1], url: buildCanonicalUrl(urlObj.hostname, type, match[1], keptParams(urlObj.searchParams)) };
+    }
+  }
+
+  if (VANITY_PATH.test(pathname)) {
+    return { type: 'vanity', listingId: null, url: urlObj.toString() };
+  }
+
+  const page = UNSUPPORTED_PAGES.find(({ pattern }) => pattern.test(pathname));
+  return {
+    error: `Unsupported Airbnb URL: ${page ? page.name : `${pathname} is not a listing page`}. ` +
+      'Supported: /rooms/<id>, /rooms/plus/<id>, /luxury/listing/<id>, /h/<name> and abnb.me links.',
+    code: 'UNSUPPORTED_URL'
+  };
+};
+
+/**
+ * Load a vanity URL or short link with a plain HTTP request, following redirects.
+ * Resolves to { url, html } with the address it ended at.
+ */
+const fetchPage = async (url, signal) => {
+  const response = await fetch(url, {
+    redirect: 'follow',
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      'Accept': 'text/html'
+    },
+    signal: signal ? AbortSignal.any([signal, AbortSignal.timeout(getResolveTimeoutMs())]) : AbortSignal.timeout(getResolveTimeoutMs())
+  });
+
+  // A redirect to the listing is all that is needed
+  if (parseListingUrl(response.url).listingId) {
+    return { url: response.url, html: '' };
+  }
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return { url: response.url, html: await response.text() };
+};
+
+/**
+ * Find the listing a loaded vanity URL or short link points to: the address it ended at,
+ * otherwise the canonical or app link in the page
+ */
+const findListing = ({ url, html }) => {
+  const final = parseListingUrl(url);
+  if (final.listingId) return final;
+
+  const candidates = [
+    ...html.matchAll(/<link[^>]+rel=["']canonical["'][^>]*href=["']([^"']+)["']/gi),
+    ...html.matchAll(/<meta[^>]+(?:property|name)=["'](?:og:url|al:web:url)["'][^>]*content=["']([^"']+)["']/gi),
+    ...html.matchAll(/(https?:\\?\/\\?\/(?:www\.)?airbnb\.[a-z.]+\\?\/(?:rooms\\?\/(?:plus\\?\/)?|luxury\\?\/listing\\?\/)\d+)/gi)
+  ].map(match => match[1].replace(/\\\//g, '/').replace(/&amp;/g, '&'));
+
+  for (const candidate of candidates) {
+    const parsed = parseListingUrl(candidate);
+    if (parsed.listingId) return parsed;
+  }
+  return null;
+};
+
+/**
+ * Resolve any supported listing URL to { type, listingId, url } with a canonical url
+ *
+ * Dates and guests on the original URL are kept. Throws with code INVALID_URL or UNSUPPORTED_URL
+ * (status 400) and URL_RESOLUTION_FAILED (status 422) when a vanity URL or short link does not
+ * lead to a listing. loadPage(url, signal) replaces the plain HTTP request that loads them; it
+ * resolves to { url, html } like fetchPage.
+ */
+const resolveListingUrl = async (url, { signal, loadPage = fetchPage } = {}) => {
+  const parsed = parseListingUrl(url);
+  if (parsed.error) {
+    throw urlError(parsed.error, parsed.code);
+  }
+  if (parsed.listingId) {
+    return parsed;
+  }
+
+  const urlObj = new URL(parsed.url);
+  const lookupKey = `${urlObj.hostname.toLowerCase()}${urlObj.pathname.replace(/\/$/, '')}`;
+  let listing = resolved.get(lookupKey);
+
+  if (!listing) {
+    let found;
+    try {
+      found = findListing(await loadPage(parsed.url, signal));
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      throw urlError(`Could not resolve ${parsed.url}: ${error.message}`, 'URL_RESOLUTION_FAILED', 422);
+    }
+    if (!found) {
+      throw urlError(`${parsed.url} does not lead to an Airbnb listing`, 'URL_RESOLUTION_FAILED', 422);
+    }
+
+    listing = { type: found.type, listingId: found.listingId, hostname: new URL(found.url).hostname };
+    if (resolved.size >= MAX_RESOLVED) {
+      resolved.delete(resolved.keys().next().value);
+    }
+    resolved.set(lookupKey, listing);
+    console.log(`Resolved ${parsed.url} to listing ${listing.listingId}`);
+  }
+
+  // Vanity URLs stay on their own Airbnb domain; short links use the domain they redirected to
+  const hostname = parsed.type === 'vanity' ? urlObj.hostname : listing.hostname;
+  return {
+    type: listing.type,
+    listingId: listing.listingId,
+    url: buildCanonicalUrl(hostname, listing.type, listing.listingId, keptParams(urlObj.searchParams))
+  };
+};
+
+/**
+ * Stay dates and guests carried by a canonical listing URL, named like the API's stay options
+ * (checkIn, checkOut, adults, children, pets); parameters the URL does not have are left out
+ */
+const readStayParams = (url) => {
+  const searchParams = new URL(url).searchParams;
+  const names = { checkIn: 'check_in', checkOut: 'check_out', adults: 'adults', children: 'children', pets: 'pets' };
+  return Object.fromEntries(Object.entries(names)
+    .filter(([, param]) => searchParams.has(param))
+    .map(([option, param]) => [option, searchParams.get(param)]));
+};
+
+module.exports = {
+  KEPT_PARAMS,
+  isAirbnbHostname,
+  parseListingUrl,
+  resolveListingUrl,
+  readStayParams
+};
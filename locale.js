@@ -0,0 +1,150 @@
+/**
+ * Locale and currency control for scrapes.
+ *
+ * A requested locale is applied as the browser language (navigator.language and the Accept-Language
+ * header) and the `locale` URL parameter; a requested currency as the `currency` cookie and URL
+ * parameter. Airbnb honours the URL parameters over the domain and the proxy's exit country.
+ */
+
+const getDefaultLocale = () => process.env.DEFAULT_LOCALE || null;
+const getDefaultCurrency = () => process.env.DEFAULT_CURRENCY || null;
+
+const SUPPORTED_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+// "Show original" toggles on translated listings, in the languages Airbnb serves most often
+const SHOW_ORIGINAL_PATTERN = /show original|original anzeigen|voir (la version |le texte )?original|mostrar (el )?original|mostra (l')?originale|origineel weergeven|ver original/i;
+
+/**
+ * Validate locale and currency options. Returns { error } or { locale, currency } with
+ * canonical values (for example "pt-BR" and "EUR"), null when not requested.
+ */
+const parseLocaleOptions = ({ locale, currency } = {}) => {
+  let canonicalLocale = null;
+  if (locale !== undefined && locale !== null) {
+    try {
+      [canonicalLocale] = Intl.getCanonicalLocales(String(locale).replace(/_/g, '-'));
+    } catch (error) {
+      canonicalLocale = null;
+    }
+    if (!canonicalLocale || !/^[a-z]{2,3}(-[A-Z][a-z]{3})?(-([A-Z]{2}|\d{3}))?$/.test(canonicalLocale)) {
+      return { error: 'Invalid locale. Must be a language tag such as "en", "fr-FR", "pt-BR" or "es-419".' };
+    }
+  }
+
+  let canonicalCurrency = null;
+  if (currency !== undefined && currency !== null) {
+    canonicalCurrency = String(currency).toUpperCase();
+    if (!SUPPORTED_CURRENCIES.has(canonicalCurrency)) {
+      return { error: 'Invalid currency. Must be an ISO 4217 code such as "USD" or "EUR".' };
+    }
+  }
+
+  return { locale: canonicalLocale, currency: canonicalCurrency };
+};
+
+/**
+ * The locale and currency a scrape should use: the options, then DEFAULT_LOCALE and DEFAULT_CURRENCY
+ */
+const resolveLocale = (options = {}) => ({
+  locale: options.locale || getDefaultLocale(),
+  currency: options.currency || getDefaultCurrency()
+});
+
+/**
+ * Add the locale and currency URL parameters
+ */
+const buildLocaleUrl = (url, { locale, currency }) => {
+  if (!locale && !currency) return url;
+  const urlObj = new URL(url);
+  if (locale) urlObj.searchParams.set('locale', locale);
+  if (currency) urlObj.searchParams.set('currency', currency);
+  return urlObj.toString();
+};
+
+/**
+ * Accept-Language value for a locale: the locale, then its bare language
+ */
+const acceptLanguage = (locale) => {
+  const language = locale.split('-')[0];
+  return language === locale ? `${locale},en;q=0.5` : `${locale},${language};q=0.9,en;q=0.5`;
+};
+
+/**
+ * Apply the locale and currency to a page before it navigates to url
+ */
+const applyLocale = async (page, url, { locale, currency }) => {
+  if (locale) {
+    await page.setExtraHTTPHeaders({ 'Accept-Language': acceptLanguage(locale) });
+    await page.evaluateOnNewDocument((lang) => {
+      Object.defineProperty(navigator, 'language', { get: () => lang });
+      Object.defineProperty(navigator, 'languages', { get: () => [lang, lang.split('-')[0]] });
+    }, locale);
+
+    // Intl and date formatting inside the page; remote browsers may not allow it
+    try {
+      const session = await page.createCDPSession();
+      await session.send('Emulation.setLocaleOverride', { locale: locale.replace(/-/g, '_') });
+    } catch (error) {
+      console.log('Could not override the browser locale:', error.message);
+    }
+  }
+
+  if (currency) {
+    const domain = new URL(url).hostname.replace(/^www\./, '');
+    await page.setCookie({ name: 'currency', value: currency, domain: `.${domain}`, path: '/' });
+  }
+};
+
+/**
+ * Runs inside the page: the language the page was rendered in and the currency in its embedded data
+ */
+const readPageLocale = () => {
+  let currency = null;
+  const scripts = document.querySelectorAll('script[type="application/json"], script[id^="data-deferred-state"]');
+  for (const script of scripts) {
+    const match = (script.textContent || '').match(/"(?:currency|nativeCurrency)"\s*:\s*"([A-Z]{3})"/);
+    if (match) {
+      currency = match[1];
+      break;
+    }
+  }
+  return { locale: document.documentElement.lang || null, currency };
+};
+
+/**
+ * When the listing was machine-translated, switch to the original text and read the title again.
+ * Returns { original, translated } or null when the page has no translation toggle.
+ */
+const readOriginalTitle = async (page, translatedTitle, readTitle) => {
+  const clicked = await page.evaluate((source) => {
+    const pattern = new RegExp(source, 'i');
+    const toggle = Array.from(document.querySelectorAll('button, [role="button"], a'))
+      .find(el => pattern.test(el.textContent || '') || pattern.test(el.getAttribute('aria-label') || ''));
+    if (!toggle) return false;
+    toggle.click();
+    return true;
+  }, SHOW_ORIGINAL_PATTERN.source);
+
+  if (!clicked) return null;
+
+  try {
+    await page.waitForFunction((title) => {
+      const h1 = document.querySelector('h1');
+      return h1 && h1.textContent.trim() && h1.textContent.trim() !== title;
+    }, { timeout: 5000 }, translatedTitle);
+  } catch (error) {
+    // Only the description was translated; the title is already the original
+    return { original: translatedTitle, translated: translatedTitle };
+  }
+
+  return { original: await page.evaluate(readTitle), translated: translatedTitle };
+};
+
+module.exports = {
+  parseLocaleOptions,
+  resolveLocale,
+  buildLocaleUrl,
+  applyLocale,
+  readPageLocale,
+  readOriginalTitle
+};
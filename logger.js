@@ -0,0 +1,129 @@
+/**
+ * Structured logging with a per-request context.
+ *
+ * Every line is a JSON object ({ time, level, msg, requestId, ...fields }) on stdout, or stderr for
+ * warnings and errors. The request ID (and job ID for background jobs) is carried through async calls
+ * with AsyncLocalStorage, so modules log without passing it around. LOG_FORMAT=pretty prints
+ * plain lines for local development.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const util = require('util');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const context = new AsyncLocalStorage();
+const originalConsole = {
+  log: console.log.bind(console),
+  warn: console.warn.bind(console),
+  error: console.error.bind(console)
+};
+
+const getLevel = () => LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+const isPretty = () => process.env.LOG_FORMAT === 'pretty';
+
+// Leading emoji and blank lines from the older console output carry no information in JSON
+const cleanMessage = (message) => message.replace(/^[\s\p{Extended_Pictographic}️]+/u, '').trim();
+
+/**
+ * Serialise an error for a log field
+ */
+const serializeError = (error) => ({ name: error.name, message: error.message, code: error.code, stack: error.stack });
+
+/**
+ * Write one log entry
+ */
+const write = (level, msg, fields = {}) => {
+  if (LEVELS[level] < getLevel()) return;
+
+  const { err, ...rest } = fields;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: cleanMessage(String(msg)),
+    ...context.getStore(),
+    ...rest,
+    ...(err && { err: err instanceof Error ? serializeError(err) : err })
+  };
+
+  if (isPretty()) {
+    const { time, level: _level, msg: message, ...extra } = entry;
+    const output = level === 'error' ? originalConsole.error : (level === 'warn' ? originalConsole.warn : originalConsole.log);
+    const tag = entry.requestId ? ` [${entry.requestId.slice(0, 8)}]` : '';
+    output(`${time} ${level.toUpperCase()}${tag} ${message}`, ...(Object.keys(extra).length > 0 ? [extra] : []));
+    return;
+  }
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(JSON.stringify(entry) + '\n');
+};
+
+const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
+
+/**
+ * Turn console.log/info/warn/error/debug arguments into a log entry, so existing
+ * console output becomes structured too. A trailing Error argument becomes the err field.
+ */
+const fromConsole = (level) => (...args) => {
+  const error = args.find(arg => arg instanceof Error);
+  const parts = args.filter(arg => arg !== error);
+  write(level, util.format(...parts), error ? { err: error } : {});
+};
+
+/**
+ * Route console output through the logger
+ */
+const installConsole = () => {
+  console.log = fromConsole('info');
+  console.info = fromConsole('info');
+  console.debug = fromConsole('debug');
+  console.warn = fromConsole('warn');
+  console.error = fromConsole('error');
+};
+
+/**
+ * Run fn with extra context fields (such as jobId) attached to every log line it produces
+ */
+const runWithContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+const getRequestId = () => context.getStore()?.requestId || null;
+
+/**
+ * Express middleware: assign a request ID (or accept the caller's X-Request-Id), echo it in the
+ * X-Request-Id response header, and log every request when it completes
+ */
+const requestContext = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  const started = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+    const level = res.statusCode >= 500 ? 'error' : (res.statusCode >= 400 ? 'warn' : 'info');
+    context.run({ requestId }, () => write(level, 'request completed', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Math.round(durationMs)
+    }));
+  });
+
+  context.run({ requestId }, next);
+};
+
+module.exports = {
+  logger,
+  installConsole,
+  runWithContext,
+  getRequestId,
+  requestContext
+};
@@ -0,0 +1,144 @@
+/**
+ * Prometheus metrics, served by GET /metrics
+ */
+
+const client = require('prom-client');
+const browserPool = require('./browserPool');
+
+const PREFIX = 'airbnb_scraper_';
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+
+// Scrapes take seconds to minutes, so the buckets go well past the default 10s
+const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300];
+
+const scrapesTotal = new client.Counter({
+  name: `${PREFIX}scrapes_total`,
+  help: 'Browser scrapes by kind, outcome and proxy type',
+  labelNames: ['kind', 'outcome', 'proxy_type'],
+  registers: [registry]
+});
+
+const scrapeDuration = new client.Histogram({
+  name: `${PREFIX}scrape_duration_seconds`,
+  help: 'Total browser scrape duration by kind and outcome',
+  labelNames: ['kind', 'outcome'],
+  buckets: DURATION_BUCKETS,
+  registers: [registry]
+});
+
+const stageDuration = new client.Histogram({
+  name: `${PREFIX}stage_duration_seconds`,
+  help: 'Duration of each scrape stage (connect, navigate, gallery_open, scroll, extract, render)',
+  labelNames: ['stage'],
+  buckets: DURATION_BUCKETS,
+  registers: [registry]
+});
+
+const imagesTotal = new client.Counter({
+  name: `${PREFIX}images_total`,
+  help: 'Gallery images found, filtered out and returned',
+  labelNames: ['result'],
+  registers: [registry]
+});
+
+const httpRequests = new client.Counter({
+  name: `${PREFIX}http_requests_total`,
+  help: 'HTTP requests by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry]
+});
+
+const httpDuration = new client.Histogram({
+  name: `${PREFIX}http_request_duration_seconds`,
+  help: 'HTTP request duration by method and route',
+  labelNames: ['method', 'route'],
+  buckets: DURATION_BUCKETS,
+  registers: [registry]
+});
+
+new client.Gauge({
+  name: `${PREFIX}browsers`,
+  help: 'Pooled browsers by state',
+  labelNames: ['state'],
+  registers: [registry],
+  collect() {
+    const stats = browserPool.getStats();
+    this.set({ state: 'busy' }, stats.busy);
+    this.set({ state: 'idle' }, stats.idle);
+  }
+});
+
+new client.Gauge({
+  name: `${PREFIX}browser_waiters`,
+  help: 'Scrapes waiting for a free browser',
+  registers: [registry],
+  collect() {
+    this.set(browserPool.getStats().waiting);
+  }
+});
+
+/**
+ * Start timing a scrape stage. Returns a function that records the duration and returns it in seconds.
+ */
+const startStage = (stage) => stageDuration.startTimer({ stage });
+
+/**
+ * Time the stages of one scrape for its response. start(stage) works like startStage and also adds
+ * the duration to stages, the milliseconds spent per stage.
+ */
+const createStageTimer = () => {
+  const stages = {};
+  return {
+    stages,
+    start: (stage) => {
+      const end = startStage(stage);
+      return () => {
+        const seconds = end();
+        stages[stage] = (stages[stage] || 0) + Math.round(seconds * 1000);
+        return seconds;
+      };
+    }
+  };
+};
+
+/**
+ * Record the outcome of a browser scrape: success, failure or cancelled
+ */
+const recordScrape = ({ kind, outcome, proxy, durationSeconds }) => {
+  scrapesTotal.inc({ kind, outcome, proxy_type: proxy ? proxy.type : 'direct' });
+  scrapeDuration.observe({ kind, outcome }, durationSeconds);
+};
+
+/**
+ * Record gallery image counts for one listing scrape
+ */
+const recordImages = ({ found, filtered, returned }) => {
+  imagesTotal.inc({ result: 'found' }, found);
+  imagesTotal.inc({ result: 'filtered' }, filtered);
+  imagesTotal.inc({ result: 'returned' }, returned);
+};
+
+/**
+ * Express middleware recording request counts and durations by route pattern
+ */
+const httpMetrics = (req, res, next) => {
+  const end = httpDuration.startTimer();
+  res.on('finish', () => {
+    // Use the matched route pattern so listing IDs do not create a series each
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    end({ method: req.method, route });
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+  });
+  next();
+};
+
+module.exports = {
+  registry,
+  startStage,
+  createStageTimer,
+  recordScrape,
+  recordImages,
+  httpMetrics
+};
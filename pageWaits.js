@@ -0,0 +1,106 @@
+/**
+ * Condition-based waits for listing pages.
+ *
+ * Each wait ends as soon as the page reaches the state the scrape needs (a dialog opened, the photo
+ * count stopped changing) and gives up after a timeout without failing, so fast pages are not held
+ * back by fixed sleeps and slow ones are still read as far as they got.
+ */
+
+const GALLERY_DIALOG = '[role="dialog"], [aria-modal="true"]';
+
+/**
+ * Wait until the number of elements matching itemSelector (inside selector, or on the whole page)
+ * has not changed for quietMs, or timeoutMs has passed. Resolves to the last count.
+ */
+const waitForStableCount = async (page, itemSelector, { selector = null, quietMs = 500, timeoutMs = 5000 } = {}) => {
+  return await page.evaluate(async (itemSelector, selector, quietMs, timeoutMs) => {
+    const root = (selector && document.querySelector(selector)) || document;
+    const count = () => root.querySelectorAll(itemSelector).length;
+    const started = Date.now();
+    let last = count();
+    let changedAt = started;
+
+    while (Date.now() - started < timeoutMs) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      const current = count();
+      if (current !== last) {
+        last = current;
+        changedAt = Date.now();
+      } else if (current > 0 && Date.now() - changedAt >= quietMs) {
+        break;
+      }
+    }
+    return last;
+  }, itemSelector, selector, quietMs, timeoutMs);
+};
+
+/**
+ * Wait until the number of listing photos (inside selector, or on the whole page) has settled,
+ * as waitForStableCount
+ */
+const waitForStableImages = (page, options) => waitForStableCount(page, 'img[src*="muscache.com"]', options);
+
+/**
+ * Wait for the photo gallery dialog to open and its photos to settle. Resolves to false when no
+ * dialog appeared within timeoutMs.
+ */
+const waitForGallery = async (page, { timeoutMs = 5000 } = {}) => {
+  const dialog = await page.waitForSelector(GALLERY_DIALOG, { timeout: timeoutMs }).catch(() => null);
+  if (!dialog) return false;
+  await waitForStableImages(page, { selector: GALLERY_DIALOG, timeoutMs });
+  return true;
+};
+
+/**
+ * Wait for the gallery dialog to close, for at most timeoutMs
+ */
+const waitForGalleryClosed = async (page, { timeoutMs = 2000 } = {}) => {
+  await page.waitForFunction((selector) => !document.querySelector(selector), { timeout: timeoutMs }, GALLERY_DIALOG)
+    .catch(() => {});
+};
+
+/**
+ * Scroll the gallery dialog (or the page) to the bottom so lazy-loaded photos are added to the DOM.
+ * After each step it waits only until the content grows, for at most stepTimeoutMs.
+ */
+const scrollToLoadImages = async (page, { stepTimeoutMs = 400, maxSteps = 200 } = {}) => {
+  await page.evaluate(async (selector, stepTimeoutMs, maxSteps) => {
+    const scrollContainer = document.querySelector(selector) ||
+                            document.querySelector('.modal-content') ||
+                            document.scrollingElement ||
+                            document.body;
+    const count = () => scrollContainer.querySelectorAll('img').length;
+
+    const waitForGrowth = async (height, images) => {
+      const until = Date.now() + stepTimeoutMs;
+      while (Date.now() < until) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        if (scrollContainer.scrollHeight !== height || count() !== images) return true;
+      }
+      return false;
+    };
+
+    for (let step = 0; step < maxSteps; step++) {
+      const height = scrollContainer.scrollHeight;
+      const images = count();
+      const before = scrollContainer.scrollTop;
+      scrollContainer.scrollTop += scrollContainer.clientHeight || window.innerHeight;
+
+      const grew = await waitForGrowth(height, images);
+      // Done when the content stopped growing at the bottom, or scrolling no longer moves
+      const atBottom = scrollContainer.scrollTop + scrollContainer.clientHeight >= scrollContainer.scrollHeight - 1;
+      if (!grew && (atBottom || scrollContainer.scrollTop === before)) break;
+    }
+
+    scrollContainer.scrollTop = 0;
+  }, GALLERY_DIALOG, stepTimeoutMs, maxSteps);
+};
+
+module.exports = {
+  GALLERY_DIALOG,
+  waitForStableCount,
+  waitForStableImages,
+  waitForGallery,
+  waitForGalleryClosed,
+  scrollToLoadImages
+};
@@ -0,0 +1,147 @@
+/**
+ * Offline extraction from a saved listing page (HTML or MHTML).
+ *
+ * Runs the same in-page extractors the scraper uses (readTitle, collectEmbeddedGallery with
+ * collectGalleryImages as fallback, collectListingDetails and readPageLocale) against a DOM built
+ * with jsdom, so no browser is launched. Page scripts are never executed.
+ */
+
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { readTitle, collectGalleryImages, validateAirbnbUrl } = require('./scraper');
+const { DETAIL_FIELDS, collectListingDetails } = require('./listingDetails');
+const { parseImageFilter, applyImageFilter } = require('./imageFilter');
+const { collectEmbeddedGallery, applyImageSizes } = require('./gallery');
+const { readPageLocale } = require('./locale');
+
+const DEFAULT_PAGE_URL = 'https://www.airbnb.com/';
+
+const parseError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Check whether a document is an MHTML archive (as saved by Chrome's "Webpage, Single File")
+ */
+const isMhtml = (content) => {
+  const head = content.slice(0, 4096);
+  return /^(MIME-Version|From|Snapshot-Content-Location|Subject|Date):/im.test(head) &&
+    /Content-Type:\s*multipart\/related/i.test(head);
+};
+
+const decodeQuotedPrintable = (text) => Buffer.from(
+  text
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16))),
+  'latin1'
+).toString('utf8');
+
+/**
+ * Pull the main HTML document out of an MHTML archive. Returns { html, location } or null.
+ */
+const extractHtmlFromMhtml = (content) => {
+  const boundaryMatch = content.slice(0, 4096).match(/boundary="?([^";\r\n]+)"?/i);
+  if (!boundaryMatch) return null;
+
+  for (const part of content.split(`--${boundaryMatch[1]}`)) {
+    const separator = part.search(/\r?\n\r?\n/);
+    if (separator === -1) continue;
+
+    const headers = part.slice(0, separator);
+    if (!/Content-Type:\s*text\/html/i.test(headers)) continue;
+
+    const body = part.slice(separator).replace(/^\r?\n\r?\n/, '');
+    const encoding = (headers.match(/Content-Transfer-Encoding:\s*([\w-]+)/i) || [])[1] || '';
+    const location = (headers.match(/Content-Location:\s*(\S+)/i) || [])[1] || null;
+
+    let html = body;
+    if (/quoted-printable/i.test(encoding)) {
+      html = decodeQuotedPrintable(body);
+    } else if (/base64/i.test(encoding)) {
+      html = Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+    }
+    return { html, location };
+  }
+
+  return null;
+};
+
+/**
+ * Parse a saved listing page into the same result shape as scrapeAirbnbListing
+ *
+ * Options: url (listing URL; defaults to the MHTML location or the page's canonical link),
+ * maxImages (number override), imageFilter (normalised filter from parseImageFilter),
+ * imageSizes (output sizes from parseImageSizes)
+ */
+const parseListingPage = (content, options = {}) => {
+  let html = content;
+  let pageUrl = options.url || null;
+
+  if (isMhtml(content)) {
+    const extracted = extractHtmlFromMhtml(content);
+    if (!extracted) {
+      throw parseError('The MHTML archive does not contain an HTML document', 'INVALID_MHTML');
+    }
+    html = extracted.html;
+    pageUrl = pageUrl || (validateAirbnbUrl(extracted.location) ? extracted.location : null);
+  }
+
+  // Page scripts stay disabled; only our extractors run, through window.eval
+  const dom = new JSDOM(html, {
+    url: pageUrl || DEFAULT_PAGE_URL,
+    runScripts: 'outside-only',
+    virtualConsole: new VirtualConsole()
+  });
+
+  try {
+    const run = (fn) => dom.window.eval(`(${fn.toString()})()`);
+
+    let details;
+    try {
+      details = run(collectListingDetails);
+    } catch (error) {
+      console.log('Could not extract listing details:', error.message);
+      details = Object.fromEntries(DETAIL_FIELDS.map(field => [field, { value: null, source: null }]));
+    }
+
+    const embedded = run(collectEmbeddedGallery);
+    const imagesData = embedded.images.length > 0 ? embedded : run(collectGalleryImages);
+    const title = run(readTitle);
+    const pageLocale = run(readPageLocale);
+
+    if (!pageUrl) {
+      const canonical = dom.window.document.querySelector('link[rel="canonical"]')?.href ||
+        dom.window.document.querySelector('meta[property="og:url"]')?.content;
+      pageUrl = validateAirbnbUrl(canonical) ? canonical : null;
+    }
+
+    const imageFilter = options.imageFilter || parseImageFilter().filter;
+    const { images, excluded } = applyImageFilter(imagesData.images, imageFilter);
+    const maxImages = options.maxImages || parseInt(process.env.MAX_IMAGES) || 100;
+    console.log(`Parsed ${imagesData.images.length} images from saved page (${images.length} after filtering)`);
+
+    return {
+      url: pageUrl,
+      proxyUsed: false,
+      data: {
+        title,
+        locale: pageLocale.locale,
+        currency: details.currency?.value || pageLocale.currency,
+        details,
+        totalImages: images.length,
+        gallery: applyImageSizes(images.slice(0, maxImages), options.imageSizes),
+        excluded
+      }
+    };
+  } finally {
+    dom.window.close();
+  }
+};
+
+module.exports = {
+  isMhtml,
+  extractHtmlFromMhtml,
+  parseListingPage
+};
@@ -0,0 +1,221 @@
+/**
+ * Record-and-replay of scrape sessions.
+ *
+ * A recording captures every network response a scrape's page received into a HAR-like archive
+ * (DATA_DIR/recordings/<id>.har). Replaying serves the page entirely from that archive through
+ * request interception, so a failed or changed scrape can be reproduced later without network access.
+ * A recording belongs to the API key its scrape was for (meta.owner); lookups by another key find nothing.
+ */
+
+const fs = require('fs');
+const store = require('./store');
+
+const CAPTURE_TIMEOUT_MS = 10000;
+
+// Bodies are stored decoded, so these headers would no longer describe them
+const DROPPED_REPLAY_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+const isRecordingId = (id) => /^[\w-]{1,100}$/.test(String(id));
+
+const harName = (id) => `recordings/${id}.har`;
+const metaName = (id) => `recordings/${id}.meta.json`;
+
+/**
+ * Capture every response the page receives. Returns { stop } where stop() resolves to the HAR entries.
+ */
+const startRecording = (page) => {
+  const entries = [];
+  const pending = [];
+
+  page.on('response', (response) => {
+    const request = response.request();
+    const url = response.url();
+    if (url.startsWith('data:')) return;
+
+    // Keep entries in the order the responses arrived, whenever their bodies finish loading
+    const index = entries.length;
+    entries.push(null);
+    const startedDateTime = new Date().toISOString();
+
+    pending.push((async () => {
+      let body = null;
+      // Redirects and some aborted responses have no body
+      if (response.status() < 300 || response.status() >= 400) {
+        body = await response.buffer().catch(() => null);
+      }
+
+      const headers = response.headers();
+      entries[index] = {
+        startedDateTime,
+        request: {
+          method: request.method(),
+          url,
+          headers: Object.entries(request.headers()).map(([name, value]) => ({ name, value })),
+          ...(request.postData() !== undefined && { postData: { text: request.postData() } })
+        },
+        response: {
+          status: response.status(),
+          statusText: response.statusText(),
+          headers: Object.entries(headers).map(([name, value]) => ({ name, value })),
+          content: {
+            size: body ? body.length : 0,
+            mimeType: headers['content-type'] || '',
+            encoding: 'base64',
+            text: body ? body.toString('base64') : ''
+          }
+        },
+        _resourceType: request.resourceType()
+      };
+    })());
+  });
+
+  return {
+    stop: async () => {
+      const timeout = new Promise(resolve => setTimeout(resolve, CAPTURE_TIMEOUT_MS, 'timeout'));
+      if (await Promise.race([Promise.all(pending), timeout]) === 'timeout') {
+        console.log('Some response bodies were still loading when the recording stopped');
+      }
+      return entries.filter(Boolean);
+    }
+  };
+};
+
+/**
+ * Save a recording. meta describes the session: { listingId, url, kind, owner, options, outcome, error, result }.
+ * Returns a summary { id, entries, bytes }.
+ */
+const saveRecording = (entries, meta) => {
+  const createdAt = new Date();
+  const id = `${meta.listingId || 'page'}-${createdAt.getTime()}`;
+
+  const recording = {
+    id,
+    createdAt: createdAt.toISOString(),
+    entries: entries.length,
+    bytes: entries.reduce((sum, entry) => sum + entry.response.content.size, 0),
+    ...meta
+  };
+
+  store.writeJson(harName(id), {
+    log: {
+      version: '1.2',
+      creator: { name: 'airbnb-scraper', version: '1.0.0' },
+      entries,
+      _recording: recording
+    }
+  });
+  // Kept separately so listing recordings does not read every archive
+  const { result, ...summary } = recording;
+  store.writeJson(metaName(id), summary);
+
+  console.log(`Recorded ${entries.length} responses (${recording.bytes} bytes) as ${id}`);
+  return { id, entries: recording.entries, bytes: recording.bytes };
+};
+
+// A null owner (API keys disabled) sees every recording
+const isVisibleTo = (meta, owner) => owner === null || meta.owner === owner;
+
+/**
+ * Load a recording archive, or null if there is no such recording for the owner
+ */
+const loadRecording = (id, owner = null) => {
+  if (!isRecordingId(id)) return null;
+  const har = store.readJson(harName(id), null);
+  return har && isVisibleTo(har.log._recording, owner) ? har : null;
+};
+
+/**
+ * Summaries of the owner's recordings, newest first
+ */
+const listRecordings = (owner = null) => {
+  let files = [];
+  try {
+    files = fs.readdirSync(store.dataPath('recordings'));
+  } catch (error) {
+    return [];
+  }
+
+  return files
+    .filter(file => file.endsWith('.meta.json'))
+    .map(file => store.readJson(`recordings/${file}`, null))
+    .filter(meta => meta && isVisibleTo(meta, owner))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+const stripQuery = (url) => url.split('?')[0];
+
+/**
+ * Build a request interception handler that answers every request from a recording.
+ *
+ * Requests are matched on method, URL and body, then method and URL, then method and URL without
+ * the query string (page scripts add timestamps and random IDs to some API calls). Repeated requests
+ * get the recorded responses in order. Unmatched requests fail with a 404.
+ * Returns { handle(request), stats }.
+ */
+const createReplayer = (har) => {
+  const indexes = [new Map(), new Map(), new Map()];
+  const keysFor = (method, url, postData) => [
+    `${method} ${url} ${postData || ''}`,
+    `${method} ${url}`,
+    `${method} ${stripQuery(url)}`
+  ];
+
+  for (const entry of har.log.entries) {
+    keysFor(entry.request.method, entry.request.url, entry.request.postData?.text).forEach((key, level) => {
+      if (!indexes[level].has(key)) indexes[level].set(key, []);
+      indexes[level].get(key).push(entry);
+    });
+  }
+
+  const served = new Map(); // key -> times served, to step through repeated requests
+  const stats = { served: 0, missed: 0, missedUrls: [] };
+
+  const findEntry = (request) => {
+    const keys = keysFor(request.method(), request.url(), request.postData());
+    for (let level = 0; level < keys.length; level++) {
+      const candidates = indexes[level].get(keys[level]);
+      if (!candidates) continue;
+      const count = served.get(keys[level]) || 0;
+      served.set(keys[level], count + 1);
+      return candidates[Math.min(count, candidates.length - 1)];
+    }
+    return null;
+  };
+
+  const handle = (request) => {
+    if (request.url().startsWith('data:')) {
+      return request.continue();
+    }
+
+    const entry = findEntry(request);
+    if (!entry) {
+      stats.missed++;
+      if (stats.missedUrls.length < 20) stats.missedUrls.push(request.url());
+      return request.respond({ status: 404, headers: {}, body: '' });
+    }
+
+    stats.served++;
+    const headers = {};
+    for (const { name, value } of entry.response.headers) {
+      if (DROPPED_REPLAY_HEADERS.includes(name.toLowerCase())) continue;
+      headers[name] = value;
+    }
+
+    return request.respond({
+      status: entry.response.status,
+      headers,
+      body: Buffer.from(entry.response.content.text || '', 'base64')
+    });
+  };
+
+  return { handle, stats };
+};
+
+module.exports = {
+  isRecordingId,
+  startRecording,
+  saveRecording,
+  loadRecording,
+  listRecordings,
+  createReplayer
+};
@@ -0,0 +1,98 @@
+/**
+ * Blocking of heavy or irrelevant page resources.
+ *
+ * Scrapes only read the DOM and the data embedded in the page, so fonts, video, analytics beacons
+ * and image bodies are aborted in request interception instead of being downloaded (through the
+ * proxy, when there is one). Image elements keep their src, so gallery URLs are still found.
+ */
+
+// Third-party trackers and Airbnb's own logging and tracking endpoints
+const ANALYTICS_URL = new RegExp([
+  'google-analytics\\.com',
+  'googletagmanager\\.com',
+  'doubleclick\\.net',
+  'facebook\\.(com|net)\\/(tr|signals)',
+  'connect\\.facebook\\.net',
+  'bat\\.bing\\.com',
+  'sentry\\.io',
+  'datadoghq\\.com',
+  'hotjar\\.com',
+  'airbnb\\.[a-z.]+\\/(tracking|api\\/v2\\/(logging|client_log|marketing_event_tracking))'
+].join('|'), 'i');
+
+// Groups that can be named in BLOCK_RESOURCES
+const RESOURCE_GROUPS = {
+  image: (request) => request.resourceType() === 'image',
+  font: (request) => request.resourceType() === 'font',
+  media: (request) => request.resourceType() === 'media',
+  stylesheet: (request) => request.resourceType() === 'stylesheet',
+  analytics: (request) => ['ping', 'csp_report'].includes(request.resourceType()) || ANALYTICS_URL.test(request.url())
+};
+
+const DEFAULT_BLOCK_LIST = ['image', 'font', 'media', 'analytics'];
+
+/**
+ * Parse a block list: a comma-separated string or an array of group names, or "none".
+ * Returns { error } or { blockList }.
+ */
+const parseBlockList = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return { blockList: DEFAULT_BLOCK_LIST };
+  }
+
+  const names = (Array.isArray(value) ? value : String(value).split(','))
+    .map(name => String(name).trim().toLowerCase())
+    .filter(Boolean);
+  if (names.length === 1 && names[0] === 'none') {
+    return { blockList: [] };
+  }
+
+  const unknown = names.filter(name => !RESOURCE_GROUPS[name]);
+  if (unknown.length > 0) {
+    return { error: `Unknown resource group(s): ${unknown.join(', ')}. Use "none" or any of: ${Object.keys(RESOURCE_GROUPS).join(', ')}.` };
+  }
+  return { blockList: Array.from(new Set(names)) };
+};
+
+/**
+ * The block list from BLOCK_RESOURCES, falling back to the default when it is invalid
+ */
+const getBlockList = () => {
+  const { error, blockList } = parseBlockList(process.env.BLOCK_RESOURCES);
+  if (error) {
+    console.log(`Ignoring BLOCK_RESOURCES: ${error}`);
+    return DEFAULT_BLOCK_LIST;
+  }
+  return blockList;
+};
+
+/**
+ * Track what a page blocks. Returns { match(request), stats } where match() gives the group that
+ * blocks the request (counting it) or null when the request should go through.
+ * Navigations are never blocked.
+ */
+const createBlocker = (blockList) => {
+  const stats = { total: 0, byGroup: {} };
+
+  const match = (request) => {
+    if (blockList.length === 0 || request.isNavigationRequest() || request.url().startsWith('data:')) {
+      return null;
+    }
+    const group = blockList.find(name => RESOURCE_GROUPS[name](request));
+    if (!group) return null;
+
+    stats.total++;
+    stats.byGroup[group] = (stats.byGroup[group] || 0) + 1;
+    return group;
+  };
+
+  return { match, stats };
+};
+
+module.exports = {
+  RESOURCE_GROUPS,
+  DEFAULT_BLOCK_LIST,
+  parseBlockList,
+  getBlockList,
+  createBlocker
+};
@@ -0,0 +1,277 @@
+const { withListingPage } = require('./scraper');
+const { GALLERY_DIALOG, waitForStableCount } = require('./pageWaits');
+
+const REVIEW_CARD = '[data-review-id]';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 200;
+
+/**
+ * Encode a paging cursor
+ */
+const encodeCursor = (offset) => Buffer.from(JSON.stringify({ offset })).toString('base64url');
+
+/**
+ * Decode a paging cursor. Returns null if it is malformed.
+ */
+const decodeCursor = (cursor) => {
+  if (!cursor) return 0;
+  try {
+    const { offset } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Number.isInteger(offset) && offset >= 0 ? offset : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Normalise a review object from Airbnb's reviews API response
+ */
+const fromApiReview = (review) => ({
+  id: review.id ? String(review.id) : null,
+  reviewer: {
+    firstName: review.reviewer?.firstName || review.reviewer?.name || null
+  },
+  date: review.createdAt || null,
+  localizedDate: review.localizedDate || null,
+  language: review.language || review.localizedReview?.commentsLanguage || null,
+  rating: typeof review.rating === 'number' ? review.rating : null,
+  text: review.comments || review.localizedReview?.comments || '',
+  hostResponse: review.response
+    ? { text: review.response, date: review.localizedRespondedDate || null }
+    : null
+});
+
+/**
+ * Pull review objects (and the total count, if present) out of a reviews API payload
+ */
+const collectApiReviews = (payload, collected) => {
+  // Children are pushed last-first so they are popped, and reviews collected, in payload order
+  const stack = [payload];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (!node || typeof node !== 'object') continue;
+
+    if (Array.isArray(node)) {
+      stack.push(...[...node].reverse());
+      continue;
+    }
+
+    if (typeof node.comments === 'string' && node.reviewer && node.id && !collected.byId.has(String(node.id))) {
+      const review = fromApiReview(node);
+      collected.byId.set(review.id, review);
+      continue;
+    }
+
+    if (typeof node.reviewsCount === 'number') {
+      collected.totalCount = node.reviewsCount;
+    }
+    stack.push(...Object.values(node).reverse());
+  }
+};
+
+/**
+ * Click the "Show all reviews" trigger. Returns the strategy used, or null.
+ */
+const openReviewsModal = async (page) => {
+  return await page.evaluate(() => {
+    const isReviewsTrigger = (el) => {
+      if (!el) return false;
+      const text = (el.textContent || '').toLowerCase();
+      const aria = (el.getAttribute('aria-label') || '').toLowerCase();
+      const href = (el.getAttribute('href') || '').toLowerCase();
+
+      // Exclude known non-review targets
+      if (href.includes('/contact_host/')) return false;
+
+      return /reviews?|reseñas|avis|bewertungen|recensioni|avaliações/.test(text) ||
+        /reviews?/.test(aria) ||
+        href.includes('/reviews');
+    };
+
+    // Strategy 1: explicit review buttons and links
+    const explicitSelectors = [
+      '[data-testid="pdp-show-all-reviews-button"]',
+      '[data-section-id="REVIEWS_DEFAULT"] button',
+      'a[href*="/reviews"]'
+    ];
+
+    for (const sel of explicitSelectors) {
+      const el = document.querySelector(sel);
+      if (el && isReviewsTrigger(el)) {
+        el.click();
+        return `selector:${sel}`;
+      }
+    }
+
+    // Strategy 2: any "Show all N reviews" control
+    const candidates = Array.from(document.querySelectorAll('button, [role="button"], a[href]'))
+      .filter(el => /show all|mostrar|afficher|alle/i.test(el.textContent || '') && isReviewsTrigger(el));
+    if (candidates.length > 0) {
+      candidates[0].click();
+      return 'candidate:reviews-match';
+    }
+
+    return null;
+  });
+};
+
+/**
+ * Read the category sub-ratings and review cards rendered in the reviews modal
+ */
+const readReviewsModal = async (page) => {
+  return await page.evaluate(() => {
+    const modal = document.querySelector('[role="dialog"], [aria-modal="true"]') || document.body;
+
+    // Category sub-ratings, e.g. "Cleanliness 4.9"
+    const categories = {
+      cleanliness: /cleanliness|limpieza|propreté|sauberkeit|pulizia|limpeza/i,
+      accuracy: /accuracy|exactitud|précision|genauigkeit|precisione|precisão/i,
+      checkIn: /check-?in|llegada|arrivée|ankunft/i,
+      communication: /communication|comunicación|kommunikation|comunicazione|comunicação/i,
+      location: /location|ubicación|emplacement|lage|posizione|localização/i,
+      value: /value|calidad|qualité|preis|qualità|custo/i
+    };
+
+    const ratings = {};
+    modal.querySelectorAll('div, li').forEach(el => {
+      if (el.children.length > 4) return;
+      const text = el.textContent.replace(/\s+/g, ' ').trim();
+      const match = text.match(/^(.{3,30}?)\s*(\d[.,]\d)$/);
+      if (!match) return;
+      for (const [key, pattern] of Object.entries(categories)) {
+        if (ratings[key] === undefined && pattern.test(match[1])) {
+          ratings[key] = parseFloat(match[2].replace(',', '.'));
+        }
+      }
+    });
+
+    const overallMatch = (modal.querySelector('h2')?.textContent || '').match(/(\d[.,]\d{1,2})/);
+    if (overallMatch) {
+      ratings.overall = parseFloat(overallMatch[1].replace(',', '.'));
+    }
+
+    const reviews = Array.from(modal.querySelectorAll('[data-review-id]')).map(card => {
+      const name = card.querySelector('h2, h3')?.textContent?.trim() || null;
+      const textEl = card.querySelector('[lang]') ||
+        Array.from(card.querySelectorAll('span')).sort((a, b) => b.textContent.length - a.textContent.length)[0];
+      const dateText = Array.from(card.querySelectorAll('div, span'))
+        .map(el => el.textContent.trim())
+        .find(text => /^(\w+ \d{4}|\d+ \w+ ago|\w+ ago)$/i.test(text)) || null;
+
+      // Host responses are nested blocks starting with "Response from ..."
+      const responseBlock = Array.from(card.querySelectorAll('div'))
+        .find(el => /^Response from/i.test(el.textContent.trim()) && el.children.length > 0);
+      const responseText = responseBlock
+        ? responseBlock.textContent.trim().replace(/^Response from[^\n]*?\d{4}/i, '').trim()
+        : null;
+
+      return {
+        id: card.getAttribute('data-review-id'),
+        reviewer: { firstName: name ? name.split(/\s+/)[0] : null },
+        date: null,
+        localizedDate: dateText,
+        language: textEl?.getAttribute('lang') || document.documentElement.lang || null,
+        rating: null,
+        text: textEl?.textContent?.trim() || '',
+        hostResponse: responseText ? { text: responseText, date: null } : null
+      };
+    });
+
+    return { ratings, reviews };
+  });
+};
+
+/**
+ * Scroll the reviews modal to the bottom, so its next page of reviews loads
+ */
+const scrollReviewsModal = async (page) => {
+  await page.evaluate((selector) => {
+    const modal = document.querySelector(selector);
+    if (!modal) return;
+
+    // The scrollable element is the deepest descendant with overflowing content
+    const scrollContainer = Array.from(modal.querySelectorAll('div'))
+      .filter(el => el.scrollHeight > el.clientHeight + 10)
+      .pop() || modal;
+
+    scrollContainer.scrollTop = scrollContainer.scrollHeight;
+  }, GALLERY_DIALOG);
+};
+
+/**
+ * Scrape reviews for a listing
+ *
+ * Options: limit (reviews per page), cursor (from a previous response), useProxy, signal
+ */
+const scrapeListingReviews = async (listingUrl, options = {}) => {
+  const limit = Math.min(options.limit || DEFAULT_LIMIT, MAX_LIMIT);
+  const offset = decodeCursor(options.cursor);
+  if (offset === null) {
+    throw new Error('Invalid cursor');
+  }
+
+  const wanted = offset + limit;
+
+  return await withListingPage(listingUrl, { ...options, kind: 'reviews' }, async (page) => {
+    const collected = { byId: new Map(), totalCount: null };
+
+    // Airbnb loads review pages through its API; keep every payload as the modal scrolls
+    page.on('response', async (response) => {
+      if (!/StaysPdpReviews|\/reviews/i.test(response.url())) return;
+      if (!(response.headers()['content-type'] || '').includes('json')) return;
+      try {
+        collectApiReviews(await response.json(), collected);
+      } catch (e) {
+        // Body unavailable (redirect or aborted), ignore
+      }
+    });
+
+    const clicked = await openReviewsModal(page);
+    if (clicked) {
+      console.log(`Opened reviews using strategy: ${clicked}`);
+    } else {
+      // Listing pages open the reviews modal directly under /reviews
+      const reviewsUrl = new URL(listingUrl);
+      reviewsUrl.pathname = reviewsUrl.pathname.replace(/\/$/, '') + '/reviews';
+      console.log('No reviews button found, navigating to', reviewsUrl.toString());
+      await page.goto(reviewsUrl.toString(), { waitUntil: 'domcontentloaded', timeout: 30000 });
+    }
+
+    await page.waitForSelector(GALLERY_DIALOG, { timeout: 15000 }).catch(() => {});
+    await waitForStableCount(page, REVIEW_CARD, { selector: GALLERY_DIALOG, timeoutMs: 5000 });
+
+    // Keep scrolling until we have enough reviews for this page, or nothing more loads
+    let modal = await readReviewsModal(page);
+    let stalls = 0;
+    while (Math.max(collected.byId.size, modal.reviews.length) < wanted + 1 && stalls < 2) {
+      const count = Math.max(collected.byId.size, modal.reviews.length);
+      await scrollReviewsModal(page);
+      await waitForStableCount(page, REVIEW_CARD, { selector: GALLERY_DIALOG, quietMs: 800, timeoutMs: 3000 });
+      modal = await readReviewsModal(page);
+      stalls = Math.max(collected.byId.size, modal.reviews.length) > count ? 0 : stalls + 1;
+    }
+
+    // Prefer API data; use the DOM cards when the API responses were not captured
+    const source = collected.byId.size >= modal.reviews.length ? 'api' : 'dom';
+    const allReviews = source === 'api' ? Array.from(collected.byId.values()) : modal.reviews;
+    const totalCount = collected.totalCount ?? null;
+    const hasMore = allReviews.length > wanted || (totalCount !== null && totalCount > wanted);
+
+    return {
+      url: listingUrl,
+      source,
+      ratings: modal.ratings,
+      totalCount,
+      reviews: allReviews.slice(offset, wanted),
+      nextCursor: hasMore ? encodeCursor(wanted) : null
+    };
+  });
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  decodeCursor,
+  scrapeListingReviews
+};
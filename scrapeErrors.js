@@ -0,0 +1,138 @@
+/**
+ * Classification of failed scrapes.
+ *
+ * Every scrape failure that can be attributed to the page or the connection carries a stable
+ * error code with an HTTP status. Retryable failures (blocks, proxy errors, timeouts, empty pages)
+ * are retried by withListingPage with a new proxy or browser; the others describe the listing itself.
+ */
+
+const { parseListingUrl } = require('./listingUrl');
+
+const SCRAPE_ERRORS = {
+  LISTING_NOT_FOUND: { status: 404, retryable: false, error: 'Listing not found' },
+  BLOCKED_CAPTCHA: { status: 503, retryable: true, error: 'Blocked by a captcha or bot check' },
+  PROXY_ERROR: { status: 502, retryable: true, error: 'Proxy connection failed' },
+  NAVIGATION_TIMEOUT: { status: 504, retryable: true, error: 'The listing page did not load in time' },
+  NO_GALLERY: { status: 422, retryable: false, error: 'The listing has no photos' },
+  EXTRACTION_EMPTY: { status: 502, retryable: true, error: 'Nothing could be extracted from the listing page' }
+};
+
+// Failures caused by the proxy in use (or by Airbnb blocking it), which count towards benching it
+const PROXY_FAILURE_CODES = ['PROXY_ERROR', 'BLOCKED_CAPTCHA', 'NAVIGATION_TIMEOUT'];
+
+const getMaxAttempts = () => parseInt(process.env.SCRAPE_MAX_ATTEMPTS) || 3;
+const getRetryBaseMs = () => parseInt(process.env.SCRAPE_RETRY_BASE_MS) || 2000;
+
+// Chromium network errors that come from the proxy rather than from Airbnb
+const PROXY_NET_ERRORS = /net::ERR_(PROXY_\w+|TUNNEL_CONNECTION_FAILED|NO_SUPPORTED_PROXIES|SOCKS_\w+|MANDATORY_PROXY_CONFIGURATION_FAILED)/;
+// Connection errors that only point at the proxy when one is in use
+const CONNECTION_NET_ERRORS = /net::ERR_(CONNECTION_(RESET|REFUSED|CLOSED|TIMED_OUT)|EMPTY_RESPONSE|TIMED_OUT)/;
+
+/**
+ * Annotate an error with a scrape error code, its HTTP status and whether it is worth retrying
+ */
+const withCode = (error, code) => {
+  error.code = code;
+  error.status = SCRAPE_ERRORS[code].status;
+  error.retryable = SCRAPE_ERRORS[code].retryable;
+  return error;
+};
+
+const scrapeError = (code, message) => withCode(new Error(message), code);
+
+const isScrapeError = (error) => Boolean(error && SCRAPE_ERRORS[error.code]);
+
+const isProxyFailure = (error) => Boolean(error && PROXY_FAILURE_CODES.includes(error.code));
+
+/**
+ * Give an error thrown during a scrape its code when the cause is recognisable.
+ * Errors that are already classified, and unrecognised ones, are returned unchanged.
+ */
+const classifyError = (error, { proxy } = {}) => {
+  if (isScrapeError(error)) return error;
+
+  const message = error?.message || '';
+  if (PROXY_NET_ERRORS.test(message) || /\b407\b.*proxy|proxy authentication/i.test(message) ||
+      (proxy && CONNECTION_NET_ERRORS.test(message))) {
+    return withCode(error, 'PROXY_ERROR');
+  }
+  if (error?.name === 'TimeoutError' || /Navigation timeout|timeout of \d+ ?ms exceeded/i.test(message)) {
+    return withCode(error, 'NAVIGATION_TIMEOUT');
+  }
+  return error;
+};
+
+/**
+ * Runs inside the page: recognise bot checks, "page not found" pages and pages that rendered
+ * nothing. Returns 'captcha', 'not_found', 'empty' or null. Must stay self-contained.
+ */
+const detectPageProblem = () => {
+  const body = document.body;
+  const text = body ? (body.innerText || body.textContent || '') : '';
+  const heading = `${document.title} ${document.querySelector('h1')?.textContent || ''}`;
+
+  const challenge = document.querySelector(
+    '#px-captcha, [id^="px-captcha"], iframe[src*="captcha"], iframe[src*="arkoselabs"], iframe[src*="challenges.cloudflare.com"], [data-testid*="captcha" i]'
+  );
+  if (challenge || /verify (that )?you are (a )?human|are you a robot|press (and|&) hold|unusual (traffic|activity)|access denied/i.test(`${heading} ${text.slice(0, 3000)}`)) {
+    return 'captcha';
+  }
+
+  if (/page not found|can(no|')t seem to find|error code: 404|listing (is no longer|isn't) available/i.test(`${heading} ${text.slice(0, 1000)}`)) {
+    return 'not_found';
+  }
+
+  if (!document.querySelector('h1, img') && text.trim().length < 200) {
+    return 'empty';
+  }
+  return null;
+};
+
+/**
+ * Check a listing page right after navigation and throw when Airbnb answered with a block,
+ * an error status or a different page than the listing (removed listings redirect elsewhere).
+ * Returns what detectPageProblem found, so callers can decide about pages that are still empty.
+ */
+const checkPage = async (page, response, url) => {
+  const status = response ? response.status() : null;
+  const problem = await page.evaluate(detectPageProblem).catch(() => null);
+
+  if (problem === 'captcha' || status === 403 || status === 429) {
+    throw scrapeError('BLOCKED_CAPTCHA', `Airbnb served a bot check${status ? ` (HTTP ${status})` : ''}`);
+  }
+  if (status === 407) {
+    throw scrapeError('PROXY_ERROR', 'The proxy rejected its credentials (HTTP 407)');
+  }
+  if (problem === 'not_found' || status === 404 || status === 410) {
+    throw scrapeError('LISTING_NOT_FOUND', `Listing page not found${status >= 400 ? ` (HTTP ${status})` : ''}`);
+  }
+
+  const { listingId } = parseListingUrl(url);
+  if (listingId) {
+    const landed = parseListingUrl(page.url());
+    if (landed.code === 'UNSUPPORTED_URL' || (landed.listingId && landed.listingId !== listingId)) {
+      throw scrapeError('LISTING_NOT_FOUND', `Listing ${listingId} redirected to ${page.url()}`);
+    }
+  }
+  return problem;
+};
+
+/**
+ * Delay before retry number `retry` (1-based): exponential backoff with up to 50% jitter
+ */
+const getRetryDelay = (retry) => {
+  const base = getRetryBaseMs() * 2 ** (retry - 1);
+  return Math.round(base + Math.random() * base / 2);
+};
+
+module.exports = {
+  SCRAPE_ERRORS,
+  getMaxAttempts,
+  getRetryDelay,
+  scrapeError,
+  isScrapeError,
+  isProxyFailure,
+  classifyError,
+  detectPageProblem,
+  checkPage
+};
@@ -1,87 +1,117 @@
 const puppeteer = require('puppeteer');
 const puppeteerCore = require('puppeteer-core');
+const browserPool = require('./browserPool');
+const proxyPool = require('./proxyPool');
+const metrics = require('./metrics');
+const recorder = require('./recorder');
+const listingUrl = require('./listingUrl');
+const { isAirbnbHostname, parseListingUrl } = listingUrl;
+const { resolveLocale, buildLocaleUrl, applyLocale, readPageLocale, readOriginalTitle } = require('./locale');
+const { extractListingDetails } = require('./listingDetails');
+const { parseImageFilter, applyImageFilter } = require('./imageFilter');
+const { getMaxAttempts, getRetryDelay, scrapeError, isScrapeError, isProxyFailure, classifyError, checkPage } = require('./scrapeErrors');
+const { getBlockList, createBlocker } = require('./resourceBlocking');
+const { logger } = require('./logger');
+const { waitForStableImages, waitForGallery, waitForGalleryClosed, scrollToLoadImages } = require('./pageWaits');
+const { collectEmbeddedGallery, applyImageSizes } = require('./gallery');
+const {
+  buildStayUrl,
+  extractPriceQuote,
+  captureCalendar,
+  readCalendarFromDom,
+  buildCalendar
+} = require('./availability');
+
+// Desktop user agents; each retry of a scrape presents the next one
+const USER_AGENTS = [
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15'
+];
 
 /**
- * Validate if the URL is a valid Airbnb listing URL
+ * Validate if the URL is on an Airbnb domain (listingUrl.parseListingUrl checks for a listing page)
  */
 const validateAirbnbUrl = (url) => {
   try {
-    const urlObj = new URL(url);
-    const airbnbDomainPattern = /^(www\.)?airbnb\.(com|co\.[a-z]{2}|[a-z]{2,3})$/i;
-    return airbnbDomainPattern.test(urlObj.hostname);
+    return isAirbnbHostname(new URL(url).hostname);
   } catch (error) {
     return false;
   }
 };
 
+/**
+ * Key used to keep a listing on the same proxy under sticky rotation: the listing ID, or the path
+ * for pages that are not listings
+ */
+const getListingKey = (url) => {
+  const { listingId } = parseListingUrl(url);
+  if (listingId) return listingId;
+  try {
+    return new URL(url).pathname;
+  } catch (error) {
+    return url;
+  }
+};
+
 /**
  * Get current proxy configuration
  */
 const getProxyConfig = () => {
-  const useProxy = process.env.USE_PROXY === 'true';
-  const useBrightDataBrowser = process.env.USE_BRIGHTDATA_BROWSER === 'true';
+  const proxies = proxyPool.describeProxies();
 
-  if (useBrightDataBrowser) {
-    return {
-      enabled: true,
-      type: 'BrightData Scraping Browser',
-      host: `${process.env.PROXY_HOST}:${process.env.PROXY_PORT}`
-    };
-  } else if (useProxy) {
+  if (!proxyPool.isEnabledByDefault()) {
     return {
-      enabled: true,
-      type: 'HTTP Proxy',
-      host: `${process.env.PROXY_HOST}:${process.env.PROXY_PORT}`
+      enabled: false,
+      type: 'Direct Connection',
+      host: null,
+      rotation: proxyPool.getRotation(),
+      proxies
     };
   }
 
   return {
-    enabled: false,
-    type: 'Direct Connection',
-    host: null
+    enabled: true,
+    type: proxies.length === 1 ? proxies[0].type : 'Proxy Pool',
+    host: proxies.length === 1 ? proxies[0].host : null,
+    rotation: proxyPool.getRotation(),
+    proxies
   };
 };
 
 /**
- * Connect to browser based on configuration
+ * Launch (or connect to) a browser for the given proxy (null for a direct connection)
  */
-const connectBrowser = async () => {
-  const useBrightDataBrowser = process.env.USE_BRIGHTDATA_BROWSER === 'true';
-  const useProxy = process.env.USE_PROXY === 'true';
-  const proxyHost = process.env.PROXY_HOST || 'brd.superproxy.io';
-  // Choose sensible defaults: 9222 for BD Scraping Browser (WebSocket), 22225 for HTTP proxies
-  const proxyPort = process.env.PROXY_PORT || (useBrightDataBrowser ? '9222' : (useProxy ? '22225' : '9222'));
-  const proxyUsername = process.env.PROXY_USERNAME;
-  const proxyPassword = process.env.PROXY_PASSWORD;
-
+const launchBrowser = async (proxy) => {
   let browser;
 
-  if (useBrightDataBrowser) {
+  if (proxy?.type === 'brightdata') {
     // Use BrightData Scraping Browser via WebSocket
-    const browserWSEndpoint = `wss://${proxyUsername}:${proxyPassword}@${proxyHost}:${proxyPort}`;
-    console.log('Connecting to BrightData Scraping Browser...');
+    const browserWSEndpoint = `${proxy.protocol}://${proxy.username}:${proxy.password}@${proxy.host}:${proxy.port}`;
+    logger.info('Connecting to BrightData Scraping Browser', { proxyId: proxy.id });
 
     try {
       browser = await puppeteerCore.connect({
         browserWSEndpoint,
         defaultViewport: null
       });
-      console.log('Connected to BrightData successfully');
+      logger.info('Connected to BrightData', { proxyId: proxy.id });
     } catch (error) {
-      console.log('BrightData connection failed, using direct connection');
-      browser = await puppeteer.launch({
-        headless: 'new',
-        args: ['--no-sandbox', '--disable-setuid-sandbox'],
-        defaultViewport: null
-      });
+      // A direct browser would be pooled under this proxy and scrape from the server's own IP;
+      // failing lets the proxy be reported and the scrape retried on another one
+      throw scrapeError('PROXY_ERROR', `BrightData connection failed: ${error.message}`);
     }
   } else {
     // Regular launch with or without proxy
     const launchArgs = ['--no-sandbox', '--disable-setuid-sandbox'];
 
-    if (useProxy) {
-      launchArgs.push(`--proxy-server=${proxyHost}:${proxyPort}`);
-      console.log(`Using HTTP proxy: ${proxyHost}:${proxyPort}`);
+    if (proxy) {
+      launchArgs.push(`--proxy-server=${proxy.protocol}://${proxy.host}:${proxy.port}`);
+      logger.info('Launching browser behind proxy', { proxyId: proxy.id, type: proxyPool.TYPE_LABELS[proxy.type], host: `${proxy.host}:${proxy.port}` });
+      if (proxy.type === 'socks5' && proxy.username) {
+        logger.warn('Chromium does not support SOCKS proxy authentication, credentials are ignored', { proxyId: proxy.id });
+      }
     }
 
     browser = await puppeteer.launch({
@@ -91,44 +121,253 @@ const connectBrowser = async () => {
     });
   }
 
-  return { browser, useBrightDataBrowser, useProxy, proxyUsername, proxyPassword };
+  return browser;
+};
+
+/**
+ * Acquire a pooled browser for the given proxy (null for a direct connection)
+ */
+const connectBrowser = async (proxy) => {
+  // Browsers launched with different proxies are not interchangeable
+  const poolKey = proxy ? proxy.id : 'direct';
+  return await browserPool.acquire(poolKey, () => launchBrowser(proxy));
 };
 
+/**
+ * Runs inside the page: read the listing title. Must stay self-contained (see collectGalleryImages).
+ */
+const readTitle = () => {
+  const h1 = document.querySelector('h1');
+  if (h1) return h1.textContent.trim();
+
+  const titleSection = document.querySelector('[data-section-id="TITLE_DEFAULT"] h2');
+  if (titleSection) return titleSection.textContent.trim();
+
+  const metaTitle = document.querySelector('meta[property="og:title"]');
+  if (metaTitle) return metaTitle.content;
+
+  return document.title.split('·')[0].trim();
+};
 
 /**
  * Extract title from the page
  */
 const extractTitle = async (page) => {
-  return await page.evaluate(() => {
-    const h1 = document.querySelector('h1');
-    if (h1) return h1.textContent.trim();
+  return await page.evaluate(readTitle);
+};
 
-    const titleSection = document.querySelector('[data-section-id="TITLE_DEFAULT"] h2');
-    if (titleSection) return titleSection.textContent.trim();
+/**
+ * Runs inside the page: collect gallery images with their categories from the photo modal,
+ * or from the whole page when the modal is not open. The fallback for pages without embedded
+ * photo data (see gallery.collectEmbeddedGallery). Must stay self-contained: it is serialized
+ * by page.evaluate and also run against saved pages by the parse endpoint.
+ */
+const collectGalleryImages = () => {
+  const allImages = [];
+  const seenUrls = new Set();
+  const categoryMap = new Map(); // Map image URLs to categories
+
+  // Find the gallery modal
+  const modal = document.querySelector('[role="dialog"], [aria-modal="true"]');
+
+  if (modal) {
+    console.log('Gallery modal found, extracting images with categories...');
+
+    // Method 1: Look for image containers with visible captions
+    const slides = modal.querySelectorAll('[role="group"]');
+    slides.forEach((slide, index) => {
+      // Find the main image in this slide
+      const img = slide.querySelector('img[src*="muscache.com"]:not([src*="profile"]):not([src*="user"])');
+      if (!img || !img.src) return;
+
+      // Look for category text - Airbnb shows it on the left side
+      let category = '';
+
+      // Check for h3/h4 headings which often contain the category
+      const heading = slide.querySelector('h3, h4');
+      if (heading) {
+        category = heading.textContent?.trim() || '';
+      }
 
-    const metaTitle = document.querySelector('meta[property="og:title"]');
-    if (metaTitle) return metaTitle.content;
+      // If no heading, check for any text element that might be a category
+      if (!category) {
+        // Look for text in the slide that's not the image
+        const textElements = slide.querySelectorAll('div');
+        for (const elem of textElements) {
+          const text = elem.textContent?.trim();
+          // Check if it's a short label (categories are usually 2-30 chars)
+          if (text && text.length > 1 && text.length < 30 &&
+              !text.includes('of') && !text.includes('/')) {
+            category = text;
+            break;
+          }
+        }
+      }
 
-    return document.title.split('·')[0].trim();
-  });
+      const cleanUrl = img.src.split('?')[0];
+      categoryMap.set(cleanUrl, category);
+    });
+
+    // Method 2: Get all images and match with categories
+    const allModalImages = modal.querySelectorAll('img[src*="muscache.com"]');
+    allModalImages.forEach(img => {
+      const cleanUrl = img.src.split('?')[0];
+
+      // Skip duplicates, profiles, and platform assets
+      if (seenUrls.has(cleanUrl) ||
+          cleanUrl.includes('profile') ||
+          cleanUrl.includes('user') ||
+          cleanUrl.includes('platform-assets')) {
+        return;
+      }
+
+      // Get category from map or try to find it
+      let category = categoryMap.get(cleanUrl) || '';
+
+      // If no category found, check the image's container
+      if (!category) {
+        const container = img.closest('[role="group"], div[class*="slide"]');
+        if (container) {
+          const heading = container.querySelector('h3, h4');
+          if (heading) {
+            category = heading.textContent?.trim() || '';
+          }
+        }
+      }
+
+      // Don't filter here, we'll filter outside page.evaluate for better logging
+
+      seenUrls.add(cleanUrl);
+      allImages.push({
+        url: cleanUrl + '?im_w=1200',
+        alt: img.alt || '',
+        caption: null,
+        category: category || 'interior',
+        room: null,
+        width: img.naturalWidth || img.width || null,
+        height: img.naturalHeight || img.height || null,
+        source: 'dom'
+      });
+    });
+
+    console.log(`Categories found: ${Array.from(new Set(allImages.map(img => img.category)))}`);
+  }
+
+  // Fallback: get images from the page if modal wasn't found or no images extracted
+  if (allImages.length === 0) {
+    console.log('No modal found or no images in modal, using fallback...');
+    document.querySelectorAll('img[src*="muscache.com"]').forEach(img => {
+      const cleanUrl = img.src.split('?')[0];
+
+      if (!seenUrls.has(cleanUrl) &&
+          !cleanUrl.includes('profile') &&
+          !cleanUrl.includes('user') &&
+          !cleanUrl.includes('platform-assets')) {
+
+        seenUrls.add(cleanUrl);
+        allImages.push({
+          url: cleanUrl + '?im_w=1200',
+          alt: img.alt || '',
+          caption: null,
+          category: 'interior',
+          room: null,
+          width: img.naturalWidth || img.width || null,
+          height: img.naturalHeight || img.height || null,
+          source: 'dom'
+        });
+      }
+    });
+  }
+
+  return {
+    images: allImages,
+    skipped: []  // For debugging
+  };
 };
 
 /**
- * Main scraping function
+ * One attempt at a listing page: open it on a pooled browser, check what Airbnb served,
+ * run fn(page, { proxy, locale, currency, startStage }), then release the browser and record the
+ * outcome against the proxy. identity: { attempt, excludeProxies }; the chosen proxy is stored on it.
  */
-const scrapeAirbnbListing = async (url, useProxyOverride, maxImagesOverride) => {
-  // Override proxy setting if specified
-  if (typeof useProxyOverride === 'boolean') {
-    // Only override the HTTP proxy flag. Do not toggle BrightData Scraping Browser here.
-    process.env.USE_PROXY = useProxyOverride.toString();
+const openListingPage = async (url, options, fn, hooks, identity) => {
+  const { useProxy: useProxyOverride, signal, kind = 'listing', record, replay } = options;
+
+  if (signal?.aborted) {
+    throw new Error('Scrape cancelled');
   }
 
-  const { browser, useBrightDataBrowser, useProxy, proxyUsername, proxyPassword } = await connectBrowser();
+  // Resolve the proxy for this request only; the override never touches shared settings.
+  // Replays never reach the network, so they always use a local browser.
+  const proxy = replay ? null : proxyPool.selectProxy({
+    useProxy: useProxyOverride,
+    stickyKey: getListingKey(url),
+    exclude: identity.excludeProxies
+  });
+  identity.proxy = proxy;
+  const localeSettings = resolveLocale(options);
+  const started = Date.now();
+  const recordOutcome = (outcome) => metrics.recordScrape({ kind, outcome, proxy, durationSeconds: (Date.now() - started) / 1000 });
+
+  const timer = metrics.createStageTimer();
+  const endConnect = timer.start('connect');
+  let lease;
+  try {
+    lease = await connectBrowser(proxy);
+  } catch (error) {
+    proxyPool.reportFailure(proxy, error);
+    recordOutcome('failure');
+    throw proxy ? classifyError(error, { proxy }) : error;
+  }
+
+  // Tearing down the browser context makes any in-flight Puppeteer call reject, which ends the run
+  const onAbort = () => {
+    logger.info('Scrape cancelled, closing browser context', { url });
+    lease.abort();
+  };
+  if (signal?.aborted) {
+    onAbort();
+  } else {
+    signal?.addEventListener('abort', onAbort, { once: true });
+  }
+
+  let recording = null;
+  const replayer = replay ? recorder.createReplayer(replay) : null;
+  const blockList = options.blockResources || getBlockList();
+  const blocker = createBlocker(blockList);
+
+  // Save the session even when the scrape fails, so the failure can be replayed
+  const saveRecording = async (outcome, extra) => {
+    if (!recording) return null;
+    const listingKey = getListingKey(url);
+    return recorder.saveRecording(await recording.stop(), {
+      listingId: /^\d+$/.test(listingKey) ? listingKey : null,
+      url,
+      kind,
+      owner: options.owner || null,
+      options: {
+        maxImages: options.maxImages || null,
+        stay: options.stay || null,
+        imageFilter: options.imageFilter || null,
+        imageSizes: options.imageSizes || null,
+        locale: localeSettings.locale,
+        currency: localeSettings.currency,
+        originalTitle: options.originalTitle || false,
+        blockResources: blockList
+      },
+      outcome,
+      ...extra
+    });
+  };
 
   try {
-    const page = await browser.newPage();
+    const page = await lease.newPage();
+    if (record) {
+      recording = recorder.startRecording(page);
+    }
 
     // Block accidental navigations to restricted endpoints (e.g., contact_host)
+    // and the resource groups in BLOCK_RESOURCES
     try {
       await page.setRequestInterception(true);
       page.on('request', (request) => {
@@ -137,303 +376,456 @@ const scrapeAirbnbListing = async (url, useProxyOverride, maxImagesOverride) =>
         if (isTopNav && /\/contact_host\//.test(requestUrl)) {
           return request.abort();
         }
+        if (blocker.match(request)) {
+          return request.abort('blockedbyclient');
+        }
+        if (replayer) {
+          return replayer.handle(request);
+        }
         return request.continue();
       });
     } catch (e) {
-      // Non-fatal: interception may not be supported in some contexts
+      // Non-fatal: interception may not be supported in some contexts, but a replay depends on it
+      if (replayer) throw e;
     }
 
-    // Set user agent
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+    await page.setUserAgent(USER_AGENTS[(identity.attempt - 1) % USER_AGENTS.length]);
     await page.setViewport({ width: 1920, height: 1080 });
+    await applyLocale(page, url, localeSettings);
 
     // Authenticate with proxy if needed
-    if (useProxy && !useBrightDataBrowser && proxyUsername && proxyPassword) {
+    if (proxy?.type === 'http' && proxy.username && proxy.password) {
       await page.authenticate({
-        username: proxyUsername,
-        password: proxyPassword
+        username: proxy.username,
+        password: proxy.password
       });
     }
 
-    // Navigate to the page
-    const timeout = useBrightDataBrowser ? 2 * 60 * 1000 : 30000;
-    await page.goto(url, { waitUntil: 'domcontentloaded', timeout });
-
-    // Wait for images to load
-    await page.waitForSelector('img', { timeout: 15000 });
-    await new Promise(resolve => setTimeout(resolve, 3000));
-
-    // Try to click "Show all photos" button if it exists
-    try {
-      // First, try to find and click the explicit photo gallery trigger(s)
-      const photoButtonClicked = await page.evaluate(() => {
-        const isPhotoTrigger = (el) => {
-          if (!el) return false;
-          const text = (el.textContent || '').toLowerCase();
-          const aria = (el.getAttribute('aria-label') || '').toLowerCase();
-          const href = (el.getAttribute('href') || '').toLowerCase();
-
-          // Exclude known non-gallery targets
-          if (href.includes('/contact_host/')) return false;
-
-          // Prefer obvious photo/gallery cues
-          const hasPhotoWords = /photos?|pictures?|fotos?/.test(text) || /photos?/.test(aria);
-          const isPhotosLink = href.includes('/photos');
-          return hasPhotoWords || isPhotosLink;
-        };
-
-        // Strategy 1: explicit buttons with aria-label/text mentioning photos
-        const explicitSelectors = [
-          'button[aria-label*="photo" i]',
-          'button[aria-label*="photos" i]',
-          'button[aria-label*="show all" i]',
-          '[data-testid*="photo" i]',
-          '[data-testid*="photos" i]',
-          '[data-testid="photo-viewer-slideshow-desktop"] button',
-          'a[href*="/photos"]'
-        ];
-
-        for (const sel of explicitSelectors) {
-          const el = document.querySelector(sel);
-          if (el && isPhotoTrigger(el)) {
-            el.click();
-            return `selector:${sel}`;
-          }
-        }
-
-        // Strategy 2: scan all clickable controls and pick one that clearly mentions photos
-        const candidates = Array.from(document.querySelectorAll('button, [role="button"], a[href]'))
-          .filter(isPhotoTrigger);
-        if (candidates.length > 0) {
-          candidates[0].click();
-          return 'candidate:photos-match';
-        }
+    if (hooks.beforeNavigate) {
+      await hooks.beforeNavigate(page);
+    }
 
-        // Avoid generic fallbacks that might click unrelated buttons like "Contact host"
-        return null;
-      });
+    endConnect();
 
-      if (photoButtonClicked) {
-        console.log(`Clicked photo gallery using strategy: ${photoButtonClicked}`);
-        // Wait longer for modal to fully load
-        await new Promise(resolve => setTimeout(resolve, 4000));
-      }
+    // Navigate to the page
+    const endNavigate = timer.start('navigate');
+    const timeout = proxy?.type === 'brightdata' ? 2 * 60 * 1000 : 30000;
+    const response = await page.goto(buildLocaleUrl(url, localeSettings), { waitUntil: 'domcontentloaded', timeout });
+    await checkPage(page, response, url);
 
+    // Wait for images to load; a page that never shows one is checked again to say why
+    try {
+      await page.waitForSelector('img', { timeout: 15000 });
     } catch (error) {
-      console.log('Could not click photo gallery button:', error.message);
-    }
-
-    // Scroll to load lazy-loaded images in the gallery
-    await page.evaluate(async () => {
-      const scrollContainer = document.querySelector('[role="dialog"]') ||
-                            document.querySelector('.modal-content') ||
-                            document.body;
-
-      const scrollStep = 300;
-      const scrollDelay = 500;
-      let previousHeight = 0;
-      let currentHeight = scrollContainer.scrollHeight;
-
-      while (previousHeight !== currentHeight) {
-        previousHeight = currentHeight;
-        scrollContainer.scrollTop += scrollStep;
-        await new Promise(resolve => setTimeout(resolve, scrollDelay));
-        currentHeight = scrollContainer.scrollHeight;
+      if (await checkPage(page, response, url) === 'empty') {
+        throw scrapeError('EXTRACTION_EMPTY', 'The page rendered no content');
       }
+      throw error;
+    }
+    await waitForStableImages(page, { timeoutMs: 3000 });
+    endNavigate();
 
-      // Scroll back to top to capture any images that might have loaded
-      scrollContainer.scrollTop = 0;
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    });
-
-    // Extract images with categories from the gallery
-    const imagesData = await page.evaluate(() => {
-      const allImages = [];
-      const seenUrls = new Set();
-      const categoryMap = new Map(); // Map image URLs to categories
-
-      // Define exterior/outdoor categories to exclude
-      const exteriorKeywords = [
-        'balcony', 'balcon', 'balcón', 'exterior', 'outdoor', 'outside',
-        'patio', 'terrace', 'garden', 'yard', 'pool', 'view from',
-        'street', 'building', 'neighbourhood', 'neighborhood',
-        'entrance', 'façade', 'facade', 'roof', 'aerial', 'city view'
-      ];
+    const result = await fn(page, { proxy, ...localeSettings, startStage: timer.start });
+    const saved = await saveRecording('success', { result });
 
-      // Helper function to check if category is exterior
-      const isExteriorCategory = (text) => {
-        if (!text) return false;
-        const lowerText = text.toLowerCase();
-        return exteriorKeywords.some(keyword => lowerText.includes(keyword));
-      };
+    await lease.release();
+    proxyPool.reportSuccess(proxy);
+    recordOutcome('success');
 
-      // Find the gallery modal
-      const modal = document.querySelector('[role="dialog"], [aria-modal="true"]');
+    return {
+      ...result,
+      timings: { totalMs: Date.now() - started, stages: timer.stages },
+      blockedRequests: blocker.stats,
+      ...(saved && { recording: saved }),
+      ...(replayer && { replay: { ...replayer.stats } })
+    };
 
-      if (modal) {
-        console.log('Gallery modal found, extracting images with categories...');
+  } catch (error) {
+    if (!signal?.aborted) {
+      classifyError(error, { proxy });
+    }
+    const saved = signal?.aborted ? null : await saveRecording('failure', { error: error.message, code: error.code || null }).catch(() => null);
+    // After a block or a failed connection, the retry gets a freshly launched browser
+    await lease.release({ recycle: error.retryable ? `after ${error.code}` : null });
+    // Only failures of the connection count against the proxy; a missing listing was still served
+    // through it, and unrecognised errors say nothing about it either way
+    if (!signal?.aborted && isProxyFailure(error)) {
+      proxyPool.reportFailure(proxy, error);
+    } else if (!signal?.aborted && isScrapeError(error)) {
+      proxyPool.reportSuccess(proxy);
+    }
+    recordOutcome(signal?.aborted ? 'cancelled' : 'failure');
+    if (saved) {
+      error.recordingId = saved.id;
+    }
+    throw signal?.aborted ? new Error('Scrape cancelled') : error;
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+  }
+};
 
-        // Method 1: Look for image containers with visible captions
-        const slides = modal.querySelectorAll('[role="group"]');
-        slides.forEach((slide, index) => {
-          // Find the main image in this slide
-          const img = slide.querySelector('img[src*="muscache.com"]:not([src*="profile"]):not([src*="user"])');
-          if (!img || !img.src) return;
+/**
+ * Open a listing page on a pooled browser, run fn(page, { proxy, locale, currency, startStage }) once
+ * it has loaded, then release the browser and record the outcome against the proxy
+ *
+ * Requests in the BLOCK_RESOURCES groups are aborted (see resourceBlocking.js). fn times its own
+ * stages with startStage(name), which returns an end() function like metrics.startStage. The result
+ * carries timings: { totalMs, stages } in milliseconds and blockedRequests: { total, byGroup }.
+ *
+ * Failures are classified (see scrapeErrors.js). Retryable ones are retried up to SCRAPE_MAX_ATTEMPTS
+ * times with exponential backoff, each time on a freshly launched browser with another user agent,
+ * avoiding the proxies that already failed. The result lists every attempt in attempts:
+ * [{ attempt, proxy, outcome, code, message, durationMs, retryInMs }]; a final error carries
+ * the same list as error.attempts.
+ *
+ * Options: useProxy (boolean override),
+ * signal (AbortSignal that closes the browser context and fails the run when aborted),
+ * kind (metrics label for what is being scraped, default "listing"),
+ * record (save every network response of the session; the result carries recording: { id, entries, bytes }),
+ * replay (a loaded recording to serve every request from instead of the network; the result carries
+ * replay stats; never retried, since a replay fails the same way every time),
+ * locale and currency (default DEFAULT_LOCALE and DEFAULT_CURRENCY; see locale.js),
+ * blockResources (resource groups to block instead of BLOCK_RESOURCES; see resourceBlocking.js)
+ * Hooks: beforeNavigate(page), for listeners that must see the initial page load
+ */
+const withListingPage = async (url, options, fn, hooks = {}) => {
+  const { signal } = options;
+  const maxAttempts = options.replay ? 1 : getMaxAttempts();
+  const attempts = [];
+  const excludeProxies = [];
 
-          // Look for category text - Airbnb shows it on the left side
-          let category = '';
+  for (let attempt = 1; ; attempt++) {
+    const identity = { attempt, excludeProxies, proxy: null };
+    const started = Date.now();
 
-          // Check for h3/h4 headings which often contain the category
-          const heading = slide.querySelector('h3, h4');
-          if (heading) {
-            category = heading.textContent?.trim() || '';
-          }
+    try {
+      const result = await openListingPage(url, options, fn, hooks, identity);
+      attempts.push({ attempt, proxy: identity.proxy?.id || null, outcome: 'success', durationMs: Date.now() - started });
+      return { ...result, attempts };
+    } catch (error) {
+      const failed = {
+        attempt,
+        proxy: identity.proxy?.id || null,
+        outcome: 'failure',
+        code: error.code || null,
+        message: error.message,
+        durationMs: Date.now() - started,
+        ...(error.recordingId && { recordingId: error.recordingId })
+      };
+      attempts.push(failed);
 
-          // If no heading, check for any text element that might be a category
-          if (!category) {
-            // Look for text in the slide that's not the image
-            const textElements = slide.querySelectorAll('div');
-            for (const elem of textElements) {
-              const text = elem.textContent?.trim();
-              // Check if it's a short label (categories are usually 2-30 chars)
-              if (text && text.length > 1 && text.length < 30 &&
-                  !text.includes('of') && !text.includes('/')) {
-                category = text;
-                break;
-              }
-            }
-          }
+      if (!error.retryable || attempt >= maxAttempts || signal?.aborted) {
+        error.attempts = attempts;
+        throw error;
+      }
 
-          const cleanUrl = img.src.split('?')[0];
-          categoryMap.set(cleanUrl, category);
-        });
+      if (identity.proxy) excludeProxies.push(identity.proxy.id);
+      failed.retryInMs = getRetryDelay(attempt);
+      logger.warn('Scrape attempt failed, retrying', { attempt, maxAttempts, code: error.code, retryInMs: failed.retryInMs });
+
+      // Cancelling during the backoff ends the wait; the next attempt then fails as cancelled
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, failed.retryInMs);
+        signal?.addEventListener('abort', () => {
+          clearTimeout(timer);
+          resolve();
+        }, { once: true });
+      });
+    }
+  }
+};
 
-        // Method 2: Get all images and match with categories
-        const allModalImages = modal.querySelectorAll('img[src*="muscache.com"]');
-        allModalImages.forEach(img => {
-          const cleanUrl = img.src.split('?')[0];
-
-          // Skip duplicates, profiles, and platform assets
-          if (seenUrls.has(cleanUrl) ||
-              cleanUrl.includes('profile') ||
-              cleanUrl.includes('user') ||
-              cleanUrl.includes('platform-assets')) {
-            return;
-          }
+/**
+ * Resolve a listing URL (see listingUrl.js) the way it will be scraped. When the scrape goes through
+ * a proxy, vanity URLs and short links are loaded in a pooled browser behind it rather than fetched
+ * from the server's own address. Options: useProxy, signal.
+ */
+const resolveListingUrl = async (url, options = {}) => {
+  const { useProxy, signal } = options;
+  if (!proxyPool.usesProxy(useProxy)) {
+    return await listingUrl.resolveListingUrl(url, { signal });
+  }
 
-          // Get category from map or try to find it
-          let category = categoryMap.get(cleanUrl) || '';
-
-          // If no category found, check the image's container
-          if (!category) {
-            const container = img.closest('[role="group"], div[class*="slide"]');
-            if (container) {
-              const heading = container.querySelector('h3, h4');
-              if (heading) {
-                category = heading.textContent?.trim() || '';
-              }
-            }
-          }
+  const loadPage = (target) => withListingPage(target, { useProxy, signal, kind: 'resolve' },
+    async (page) => ({ url: page.url(), html: await page.content() }));
+  return await listingUrl.resolveListingUrl(url, { signal, loadPage });
+};
 
-          // Don't filter here, we'll filter outside page.evaluate for better logging
+/**
+ * Click "Show all photos" and wait for the photo modal. Resolves to whether the modal opened.
+ */
+const openPhotoModal = async (page) => {
+  try {
+    // First, try to find and click the explicit photo gallery trigger(s)
+    const photoButtonClicked = await page.evaluate(() => {
+      const isPhotoTrigger = (el) => {
+        if (!el) return false;
+        const text = (el.textContent || '').toLowerCase();
+        const aria = (el.getAttribute('aria-label') || '').toLowerCase();
+        const href = (el.getAttribute('href') || '').toLowerCase();
+
+        // Exclude known non-gallery targets
+        if (href.includes('/contact_host/')) return false;
+
+        // Prefer obvious photo/gallery cues
+        const hasPhotoWords = /photos?|pictures?|fotos?/.test(text) || /photos?/.test(aria);
+        const isPhotosLink = href.includes('/photos');
+        return hasPhotoWords || isPhotosLink;
+      };
 
-          seenUrls.add(cleanUrl);
-          allImages.push({
-            url: cleanUrl + '?im_w=1200',
-            alt: img.alt || '',
-            category: category || 'interior',
-            width: img.naturalWidth || img.width || null,
-            height: img.naturalHeight || img.height || null
-          });
-        });
+      // Strategy 1: explicit buttons with aria-label/text mentioning photos
+      const explicitSelectors = [
+        'button[aria-label*="photo" i]',
+        'button[aria-label*="photos" i]',
+        'button[aria-label*="show all" i]',
+        '[data-testid*="photo" i]',
+        '[data-testid*="photos" i]',
+        '[data-testid="photo-viewer-slideshow-desktop"] button',
+        'a[href*="/photos"]'
+      ];
 
-        console.log(`Categories found: ${Array.from(new Set(allImages.map(img => img.category)))}`);
+      for (const sel of explicitSelectors) {
+        const el = document.querySelector(sel);
+        if (el && isPhotoTrigger(el)) {
+          el.click();
+          return `selector:${sel}`;
+        }
       }
 
-      // Fallback: get images from the page if modal wasn't found or no images extracted
-      if (allImages.length === 0) {
-        console.log('No modal found or no images in modal, using fallback...');
-        document.querySelectorAll('img[src*="muscache.com"]').forEach(img => {
-          const cleanUrl = img.src.split('?')[0];
-
-          if (!seenUrls.has(cleanUrl) &&
-              !cleanUrl.includes('profile') &&
-              !cleanUrl.includes('user') &&
-              !cleanUrl.includes('platform-assets')) {
-
-            seenUrls.add(cleanUrl);
-            allImages.push({
-              url: cleanUrl + '?im_w=1200',
-              alt: img.alt || '',
-              category: 'interior',
-              width: img.naturalWidth || img.width || null,
-              height: img.naturalHeight || img.height || null
-            });
-          }
-        });
+      // Strategy 2: scan all clickable controls and pick one that clearly mentions photos
+      const candidates = Array.from(document.querySelectorAll('button, [role="button"], a[href]'))
+        .filter(isPhotoTrigger);
+      if (candidates.length > 0) {
+        candidates[0].click();
+        return 'candidate:photos-match';
       }
 
-      return {
-        images: allImages,
-        skipped: []  // For debugging
-      };
+      // Avoid generic fallbacks that might click unrelated buttons like "Contact host"
+      return null;
     });
 
-    // Filter images based on keywords
-    const filteredImages = imagesData.images.filter(img => {
-      // Check both category and alt text for exterior keywords
-      const exteriorKeywords = [
-        'balcony', 'balcon', 'balcón', 'exterior', 'outdoor', 'outside',
-        'patio', 'terrace', 'garden', 'yard', 'pool', 'view from',
-        'street', 'building', 'neighbourhood', 'neighborhood',
-        'entrance', 'façade', 'facade', 'roof', 'aerial', 'city view'
-      ];
+    if (!photoButtonClicked) return false;
 
-      const checkText = (img.category + ' ' + img.alt).toLowerCase();
-      const isExterior = exteriorKeywords.some(keyword => checkText.includes(keyword));
+    logger.debug('Clicked photo gallery', { strategy: photoButtonClicked });
+    const opened = await waitForGallery(page);
+    if (!opened) {
+      logger.info('Gallery dialog did not open, reading photos from the page');
+    }
+    return opened;
+  } catch (error) {
+    logger.warn('Could not click photo gallery button', { err: error });
+    return false;
+  }
+};
 
-      if (isExterior) {
-        console.log(`Filtering out exterior image: ${img.category || img.alt}`);
-      }
+/**
+ * Main scraping function
+ *
+ * Options: useProxy (boolean override), maxImages (number override),
+ * stay ({ checkIn, checkOut, adults, children, pets } for a price quote),
+ * imageFilter (normalised filter from parseImageFilter; defaults to interior photos only),
+ * imageSizes (output sizes from gallery.parseImageSizes; the first one is each image's url),
+ * signal (AbortSignal that closes the browser context and fails the scrape when aborted),
+ * record (save the session's network traffic for replayRecording),
+ * locale and currency (see locale.js), originalTitle (also read the untranslated title)
+ *
+ * Besides the page-level failures of withListingPage, throws NO_GALLERY when the listing has no
+ * photos and EXTRACTION_EMPTY when the page shows neither photos nor the listing.
+ */
+const scrapeAirbnbListing = async (url, options = {}) => {
+  const { maxImages: maxImagesOverride, stay, originalTitle, imageSizes } = options;
+  const imageFilter = options.imageFilter || parseImageFilter().filter;
+  let calendarDays = new Map();
+
+  const hooks = {
+    beforeNavigate: (page) => {
+      if (stay) calendarDays = captureCalendar(page);
+    }
+  };
 
-      return !isExterior;
-    });
+  return await withListingPage(buildStayUrl(url, stay), options, async (page, { proxy, locale, currency, startStage }) => {
+    // Read listing facts before the gallery modal covers the page
+    const endDetails = startStage('details');
+    const details = await extractListingDetails(page);
+    const quote = stay ? await extractPriceQuote(page, stay, Array.from(calendarDays.values())) : null;
+    endDetails();
+
+    // Embedded photo data first; the photo modal is only opened and scrolled when the page does not carry it
+    const endEmbedded = startStage('extract');
+    let imagesData = await page.evaluate(collectEmbeddedGallery);
+    endEmbedded();
+
+    let modalOpened = false;
+    if (imagesData.images.length === 0) {
+      logger.info('No embedded photo data, reading the gallery from the photo modal');
+      const endGalleryOpen = startStage('gallery_open');
+      modalOpened = await openPhotoModal(page);
+      endGalleryOpen();
+
+      // Scroll to load lazy-loaded images in the gallery
+      const endScroll = startStage('scroll');
+      await scrollToLoadImages(page);
+      endScroll();
+
+      const endExtract = startStage('extract');
+      imagesData = await page.evaluate(collectGalleryImages);
+      endExtract();
+    }
+    logger.info('Found gallery photos', { photos: imagesData.images.length, source: imagesData.images[0]?.source || null });
 
-    const images = filteredImages;
+    // Tag room types and apply the request's image filter
+    const { images, excluded } = applyImageFilter(imagesData.images, imageFilter);
     const title = await extractTitle(page);
 
-    // Try to close the photo modal if it's open to get back to main page
-    try {
-      await page.keyboard.press('Escape');
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    } catch (e) {
-      // Modal might not be open, continue
+    // No photos anywhere on a page that shows the listing means it has no gallery;
+    // no photos and no listing at all means the page did not render
+    if (imagesData.images.length === 0) {
+      const hasListing = await page.evaluate(() => Boolean(document.querySelector('h1'))) ||
+        Object.values(details).some(field => field?.value !== null && field?.value !== undefined);
+      throw hasListing
+        ? scrapeError('NO_GALLERY', 'The listing page has no photos')
+        : scrapeError('EXTRACTION_EMPTY', 'No title, details or photos found on the listing page');
+    }
+
+    // Close the photo modal to get back to the main page
+    if (modalOpened) {
+      try {
+        await page.keyboard.press('Escape');
+        await waitForGalleryClosed(page);
+      } catch (e) {
+        // The modal may have closed already, continue
+      }
     }
 
-    await browser.close();
+    const titleTranslation = originalTitle ? await readOriginalTitle(page, title, readTitle) : null;
+    const pageLocale = await page.evaluate(readPageLocale);
 
     // Get max images from override, environment variable, or default to 100
     const maxImages = maxImagesOverride || parseInt(process.env.MAX_IMAGES) || 100;
-    console.log(`Limiting gallery to ${maxImages} images (found ${images.length} total)`);
+    logger.info('Limiting gallery', { maxImages, found: images.length });
+    metrics.recordImages({
+      found: imagesData.images.length,
+      filtered: excluded.length,
+      returned: Math.min(images.length, maxImages)
+    });
 
     return {
       url,
-      proxyUsed: useProxy || useBrightDataBrowser,
+      proxyUsed: Boolean(proxy),
       data: {
         title,
+        ...(originalTitle && { titleTranslation }),
+        locale: pageLocale.locale || locale,
+        currency: details.currency?.value || pageLocale.currency || currency,
+        details,
+        ...(quote && { quote }),
         totalImages: images.length,
-        gallery: images.slice(0, maxImages)
+        gallery: applyImageSizes(images.slice(0, maxImages), imageSizes),
+        excluded
       }
     };
+  }, hooks);
+};
 
-  } catch (error) {
-    await browser.close();
+/**
+ * Scrape the availability calendar for the next N months
+ *
+ * Options: months (default 3), useProxy, signal
+ */
+const scrapeAvailabilityCalendar = async (url, options = {}) => {
+  const months = options.months || 3;
+  let calendarDays = new Map();
+
+  const hooks = {
+    beforeNavigate: (page) => {
+      calendarDays = captureCalendar(page);
+    }
+  };
+
+  return await withListingPage(url, { ...options, kind: 'availability' }, async (page, { proxy }) => {
+    let source = 'api';
+    let days = calendarDays;
+
+    // Fall back to the inline calendar when the availability data was not captured
+    if (days.size === 0) {
+      logger.info('No availability data captured, reading calendar from page');
+      days = await readCalendarFromDom(page, months);
+      source = 'dom';
+    }
+
+    const calendar = buildCalendar(days, months);
+    logger.info('Calendar read', { availableDays: calendar.summary.availableDays, blockedDays: calendar.summary.blockedDays });
+
+    return {
+      url,
+      proxyUsed: Boolean(proxy),
+      source,
+      ...calendar
+    };
+  }, hooks);
+};
+
+/**
+ * Re-run a recorded listing scrape entirely from its recording, without network access
+ *
+ * Uses the recorded URL and options, including the resource groups that were blocked. The result
+ * carries replay: { recordingId, recordedAt, identical, served, missed, missedUrls }, where identical
+ * tells whether the extracted data matches the recorded run byte for byte. Throws with status 404
+ * for an unknown recording or one of another options.owner.
+ */
+const replayRecording = async (recordingId, options = {}) => {
+  const har = recorder.loadRecording(recordingId, options.owner || null);
+  if (!har) {
+    const error = new Error(`Recording ${recordingId} not found`);
+    error.code = 'RECORDING_NOT_FOUND';
+    error.status = 404;
+    throw error;
+  }
+
+  const meta = har.log._recording;
+  if (meta.kind !== 'listing') {
+    const error = new Error(`Only listing recordings can be replayed (this one is "${meta.kind}")`);
+    error.code = 'REPLAY_UNSUPPORTED';
+    error.status = 409;
     throw error;
   }
+
+  const result = await scrapeAirbnbListing(meta.url, {
+    maxImages: meta.options.maxImages || undefined,
+    stay: meta.options.stay || undefined,
+    imageFilter: meta.options.imageFilter || undefined,
+    imageSizes: meta.options.imageSizes || undefined,
+    locale: meta.options.locale || undefined,
+    currency: meta.options.currency || undefined,
+    originalTitle: meta.options.originalTitle || undefined,
+    blockResources: meta.options.blockResources || undefined,
+    signal: options.signal,
+    replay: har
+  });
+
+  const recorded = meta.result ? JSON.stringify(meta.result.data) : null;
+  return {
+    ...result,
+    replay: {
+      recordingId,
+      recordedAt: meta.createdAt,
+      recordedOutcome: meta.outcome,
+      identical: recorded !== null && recorded === JSON.stringify(result.data),
+      ...result.replay
+    }
+  };
 };
 
 module.exports = {
   validateAirbnbUrl,
   getProxyConfig,
-  scrapeAirbnbListing
+  getListingKey,
+  readTitle,
+  collectGalleryImages,
+  withListingPage,
+  resolveListingUrl,
+  openPhotoModal,
+  scrapeAirbnbListing,
+  scrapeAvailabilityCalendar,
+  replayRecording
 };
\ No newline at end of file
@@ -0,0 +1,161 @@
+const { withListingPage } = require('./scraper');
+const { parseMoney } = require('./availability');
+const { waitForStableCount } = require('./pageWaits');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 300;
+const MAX_PAGES = 20;
+
+// Result cards; collectSearchCards runs in the page and repeats this selector
+const SEARCH_CARD = '[itemprop="itemListElement"], [data-testid="card-container"]';
+
+/**
+ * Check that a URL is an Airbnb search results URL (/s/<place>/homes)
+ */
+const isSearchUrl = (url) => {
+  try {
+    return /^\/s\/[^/]+\/homes\/?$/.test(new URL(url).pathname);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Build a search URL from structured parameters
+ */
+const buildSearchUrl = ({ location, checkIn, checkOut, adults, children, pets, priceMin, priceMax, domain }) => {
+  const urlObj = new URL(`https://${domain || 'www.airbnb.com'}/s/${encodeURIComponent(location)}/homes`);
+  urlObj.searchParams.set('query', location);
+  if (checkIn) urlObj.searchParams.set('checkin', checkIn);
+  if (checkOut) urlObj.searchParams.set('checkout', checkOut);
+  if (adults) urlObj.searchParams.set('adults', String(adults));
+  if (children) urlObj.searchParams.set('children', String(children));
+  if (pets) urlObj.searchParams.set('pets', String(pets));
+  if (priceMin !== undefined) urlObj.searchParams.set('price_min', String(priceMin));
+  if (priceMax !== undefined) urlObj.searchParams.set('price_max', String(priceMax));
+  return urlObj.toString();
+};
+
+/**
+ * Runs inside the page: read every result card plus the link to the next results page
+ */
+const collectSearchCards = () => {
+  const cards = [];
+  const seen = new Set();
+
+  const containers = document.querySelectorAll('[itemprop="itemListElement"], [data-testid="card-container"]');
+  containers.forEach(card => {
+    const link = card.querySelector('a[href*="/rooms/"]');
+    const metaUrl = card.querySelector('meta[itemprop="url"]')?.getAttribute('content');
+    const href = link?.getAttribute('href') || metaUrl || '';
+    const idMatch = href.match(/\/rooms\/(?:plus\/)?(\d+)/);
+    if (!idMatch || seen.has(idMatch[1])) return;
+    seen.add(idMatch[1]);
+
+    const text = (selector) => card.querySelector(selector)?.textContent?.replace(/\s+/g, ' ').trim() || null;
+
+    const img = card.querySelector('img[src*="muscache.com"]');
+    const priceRow = text('[data-testid="price-availability-row"]') || text('[class*="price" i]');
+    const ratingEl = Array.from(card.querySelectorAll('[aria-label], span'))
+      .find(el => /out of 5|average rating/i.test(el.getAttribute('aria-label') || el.textContent));
+    const ratingText = ratingEl ? (ratingEl.getAttribute('aria-label') || ratingEl.textContent) : '';
+    const ratingMatch = ratingText.match(/(\d[.,]\d{1,2})/);
+    const reviewsMatch = ratingText.match(/(\d[\d,]*)\s*reviews?/i);
+
+    const badgeEl = card.querySelector('[data-testid="listing-card-badge"], [data-testid*="badge" i]') ||
+      Array.from(card.querySelectorAll('div, span'))
+        .find(el => el.children.length === 0 && /^(guest favou?rite|superhost|rare find|new|luxe|plus)$/i.test(el.textContent.trim()));
+
+    cards.push({
+      listingId: idMatch[1],
+      title: text('[data-testid="listing-card-title"]') || card.querySelector('meta[itemprop="name"]')?.getAttribute('content') || null,
+      subtitle: text('[data-testid="listing-card-name"]') || text('[data-testid="listing-card-subtitle"]'),
+      thumbnail: img ? img.src.split('?')[0] + '?im_w=720' : null,
+      priceText: priceRow,
+      rating: ratingMatch ? parseFloat(ratingMatch[1].replace(',', '.')) : null,
+      reviewCount: reviewsMatch ? parseInt(reviewsMatch[1].replace(/,/g, '')) : null,
+      badge: badgeEl ? badgeEl.textContent.trim() : null
+    });
+  });
+
+  const next = document.querySelector('a[aria-label="Next"], nav a[aria-label*="next" i]');
+  return {
+    cards,
+    nextUrl: next && next.getAttribute('aria-disabled') !== 'true' ? next.href : null
+  };
+};
+
+/**
+ * Turn a raw card into a search result that plugs into the listing scrape
+ */
+const toResult = (card, origin) => {
+  const money = parseMoney(card.priceText);
+  const period = /total/i.test(card.priceText || '') ? 'total' : (/night|noche|nuit|nacht|notte/i.test(card.priceText || '') ? 'night' : null);
+
+  return {
+    listingId: card.listingId,
+    url: `${origin}/rooms/${card.listingId}`,
+    title: card.title,
+    subtitle: card.subtitle,
+    thumbnail: card.thumbnail,
+    price: money ? { amount: money.amount, currency: money.currency, period, text: card.priceText } : null,
+    rating: card.rating,
+    reviewCount: card.reviewCount,
+    badge: card.badge
+  };
+};
+
+/**
+ * Scrape search results, paging until the limit is reached or results run out
+ *
+ * Options: limit (max results), useProxy, signal
+ */
+const scrapeSearchResults = async (searchUrl, options = {}) => {
+  const limit = Math.min(options.limit || DEFAULT_LIMIT, MAX_LIMIT);
+  const origin = new URL(searchUrl).origin;
+
+  return await withListingPage(searchUrl, { ...options, kind: 'search' }, async (page, { proxy }) => {
+    const results = [];
+    const seen = new Set();
+    let pages = 0;
+    let nextUrl = searchUrl;
+
+    while (nextUrl && results.length < limit && pages < MAX_PAGES) {
+      if (pages > 0) {
+        await page.goto(nextUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+        await page.waitForSelector(SEARCH_CARD, { timeout: 15000 }).catch(() => {});
+        await waitForStableCount(page, SEARCH_CARD, { timeoutMs: 3000 });
+      }
+
+      const { cards, nextUrl: next } = await page.evaluate(collectSearchCards);
+      pages++;
+      console.log(`Search page ${pages}: ${cards.length} cards`);
+
+      for (const card of cards) {
+        if (seen.has(card.listingId) || results.length >= limit) continue;
+        seen.add(card.listingId);
+        results.push(toResult(card, origin));
+      }
+
+      if (cards.length === 0) break;
+      nextUrl = next;
+    }
+
+    return {
+      url: searchUrl,
+      proxyUsed: Boolean(proxy),
+      pages,
+      totalResults: results.length,
+      hasMore: Boolean(nextUrl) && results.length >= limit,
+      results
+    };
+  });
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  isSearchUrl,
+  buildSearchUrl,
+  scrapeSearchResults
+};
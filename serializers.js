@@ -0,0 +1,291 @@
+/**
+ * Output formats for listing results.
+ *
+ * Each serializer turns a scrape result ({ url, data, ... } as returned by /api/scrape) into a
+ * response body, and a batch of results into a stream of chunks. Formats are chosen with a
+ * `format` parameter or the Accept header; add new ones with registerSerializer.
+ */
+
+const serializers = new Map(); // name -> serializer
+
+/**
+ * Register an output format
+ *
+ * serializer: {
+ *   contentType,         response Content-Type for a single result
+ *   batchContentType,    Content-Type for a batch stream (optional, defaults to contentType)
+ *   serialize(result),   body for one successful result
+ *   createBatch()        a writer for one batch: { begin(), item(line), end(summary) } returning the
+ *                        chunks to send; item() also gets failed lines (line.success is false)
+ * }
+ */
+const registerSerializer = (name, serializer) => {
+  serializers.set(name, serializer);
+};
+
+const getSerializer = (name) => serializers.get(name) || null;
+
+const listFormats = () => Array.from(serializers.keys());
+
+const mediaType = (contentType) => contentType.split(';')[0].trim();
+
+/**
+ * Pick the output format for a request: the `format` body or query parameter wins over the Accept header.
+ * Returns { error, status } or { name, serializer }.
+ */
+const negotiate = (req, { batch = false } = {}) => {
+  const requested = req.body?.format ?? req.query.format;
+  if (requested !== undefined) {
+    const serializer = getSerializer(requested);
+    if (!serializer) {
+      return { error: `Invalid format. Must be one of: ${listFormats().join(', ')}.`, status: 400 };
+    }
+    return { name: requested, serializer };
+  }
+
+  // Media types in registration order, so JSON stays the default for */* and missing Accept headers
+  const types = [];
+  for (const [name, serializer] of serializers) {
+    types.push([mediaType(serializer.contentType), name]);
+    if (batch && serializer.batchContentType) {
+      types.push([mediaType(serializer.batchContentType), name]);
+    }
+  }
+
+  const accepted = req.accepts(types.map(([type]) => type));
+  if (!accepted) {
+    return { error: `Not acceptable. Supported formats: ${types.map(([type]) => type).join(', ')}.`, status: 406 };
+  }
+  const name = types.find(([type]) => type === accepted)[1];
+  return { name, serializer: getSerializer(name) };
+};
+
+// CSV
+
+/**
+ * One CSV cell. Scraped text starting like a formula (=, +, -, @, tab or CR) is prefixed with ' so
+ * spreadsheets show it instead of evaluating it.
+ */
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One CSV line (with trailing newline) from a list of values
+ */
+const toCsvLine = (values) => values.map(csvCell).join(',') + '\n';
+
+const CSV_COLUMNS = ['listingUrl', 'listingTitle', 'position', 'imageUrl', 'alt', 'category', 'roomType', 'width', 'height', 'error'];
+
+const csvRows = (result) => (result.data?.gallery || []).map((image, index) => toCsvLine([
+  result.url, result.data.title, index + 1, image.url, image.alt, image.category, image.roomType, image.width, image.height, null
+])).join('');
+
+// schema.org JSON-LD
+
+/**
+ * Drop null, undefined and empty-array properties so the JSON-LD only states what is known
+ */
+const compact = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) =>
+  value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0)));
+
+const detail = (data, field) => data.details?.[field]?.value ?? null;
+
+const toImageObject = (image) => compact({
+  '@type': 'ImageObject',
+  contentUrl: image.url,
+  caption: image.caption || image.alt || image.category || null,
+  width: image.width || null,
+  height: image.height || null
+});
+
+const toOffer = (data) => {
+  const quote = data.quote;
+  if (quote && quote.total !== null && quote.total !== undefined) {
+    return compact({
+      '@type': 'Offer',
+      price: quote.total,
+      priceCurrency: quote.currency,
+      availability: quote.bookable === false ? 'https://schema.org/SoldOut' : (quote.bookable ? 'https://schema.org/InStock' : null),
+      validFrom: quote.checkIn,
+      validThrough: quote.checkOut,
+      description: `${quote.nights} night(s) from ${quote.checkIn}`
+    });
+  }
+
+  const price = detail(data, 'price');
+  if (price === null) return null;
+  return compact({
+    '@type': 'Offer',
+    priceSpecification: compact({
+      '@type': 'UnitPriceSpecification',
+      price,
+      priceCurrency: detail(data, 'currency'),
+      unitText: 'night'
+    })
+  });
+};
+
+/**
+ * schema.org LodgingBusiness describing the listing, with the rental itself as a contained Accommodation
+ */
+const toJsonLd = (result) => {
+  const data = result.data || {};
+  const amenities = (detail(data, 'amenities') || []).map(name => ({ '@type': 'LocationFeatureSpecification', name, value: true }));
+  const rating = detail(data, 'rating');
+  const latitude = detail(data, 'latitude');
+  const longitude = detail(data, 'longitude');
+  const guests = detail(data, 'guests');
+  const beds = detail(data, 'beds');
+
+  return compact({
+    '@type': 'LodgingBusiness',
+    '@id': result.url,
+    url: result.url,
+    name: data.title,
+    image: (data.gallery || []).map(toImageObject),
+    aggregateRating: rating !== null ? compact({
+      '@type': 'AggregateRating',
+      ratingValue: rating,
+      reviewCount: detail(data, 'reviewCount'),
+      bestRating: 5
+    }) : null,
+    geo: latitude !== null && longitude !== null ? { '@type': 'GeoCoordinates', latitude, longitude } : null,
+    amenityFeature: amenities,
+    makesOffer: toOffer(data),
+    containsPlace: compact({
+      '@type': 'Accommodation',
+      name: data.title,
+      accommodationCategory: detail(data, 'propertyType'),
+      occupancy: guests !== null ? { '@type': 'QuantitativeValue', maxValue: guests } : null,
+      numberOfBedrooms: detail(data, 'bedrooms'),
+      numberOfBathroomsTotal: detail(data, 'baths'),
+      bed: beds !== null ? { '@type': 'BedDetails', numberOfBeds: beds } : null,
+      amenityFeature: amenities
+    })
+  });
+};
+
+// Markdown
+
+const escapeMarkdown = (text) => String(text ?? '').replace(/([\\`*_[\]|<>#])/g, '\\$1').replace(/\s*\n\s*/g, ' ');
+
+const toMarkdown = (result) => {
+  const data = result.data || {};
+  const value = (field) => detail(data, field);
+  const lines = [`# ${escapeMarkdown(data.title || 'Untitled listing')}`, '', `<${result.url}>`, ''];
+
+  const price = value('price');
+  const rating = value('rating');
+  const facts = [
+    ['Price', price !== null ? `${price}${value('currency') ? ` ${value('currency')}` : ''} / night` : null],
+    ['Rating', rating !== null ? `${rating}${value('reviewCount') !== null ? ` (${value('reviewCount')} reviews)` : ''}` : null],
+    ['Property type', value('propertyType')],
+    ['Guests', value('guests')],
+    ['Bedrooms', value('bedrooms')],
+    ['Beds', value('beds')],
+    ['Baths', value('baths')],
+    ['Host', value('hostName') ? `${value('hostName')}${value('isSuperhost') ? ' (Superhost)' : ''}` : null],
+    ['Location', value('latitude') !== null && value('longitude') !== null ? `${value('latitude')}, ${value('longitude')}` : null]
+  ].filter(([, fact]) => fact !== null && fact !== undefined);
+
+  if (facts.length > 0) {
+    lines.push('| | |', '|---|---|', ...facts.map(([label, fact]) => `| ${label} | ${escapeMarkdown(fact)} |`), '');
+  }
+
+  const amenities = value('amenities') || [];
+  if (amenities.length > 0) {
+    lines.push(`**Amenities:** ${amenities.map(escapeMarkdown).join(', ')}`, '');
+  }
+
+  if (data.quote) {
+    const quote = data.quote;
+    lines.push('## Stay', '',
+      `- ${quote.checkIn} to ${quote.checkOut} (${quote.nights} nights)`,
+      `- Bookable: ${quote.bookable === null ? 'unknown' : (quote.bookable ? 'yes' : `no${quote.unavailableReason ? ` (${escapeMarkdown(quote.unavailableReason)})` : ''}`)}`,
+      `- Total: ${quote.total ?? 'unknown'} ${quote.currency || ''}`.trimEnd(),
+      '');
+  }
+
+  const gallery = data.gallery || [];
+  lines.push(`## Gallery (${gallery.length} of ${data.totalImages ?? gallery.length} images)`, '');
+  gallery.forEach((image, index) => {
+    const label = image.alt || image.category || `Image ${index + 1}`;
+    lines.push(`${index + 1}. ![${escapeMarkdown(label)}](${image.url}) ${escapeMarkdown(image.category || '')}`.trimEnd());
+  });
+
+  if (result.fromCache) {
+    lines.push('', `_Served from cache, scraped at ${result.cachedAt}._`);
+  }
+
+  return lines.join('\n') + '\n';
+};
+
+// Built-in formats. JSON is registered first so it is the default.
+
+registerSerializer('json', {
+  contentType: 'application/json; charset=utf-8',
+  batchContentType: 'application/x-ndjson',
+  serialize: (result) => JSON.stringify(result),
+  createBatch: () => ({
+    begin: () => '',
+    item: (line) => JSON.stringify(line) + '\n',
+    end: (summary) => JSON.stringify(summary) + '\n'
+  })
+});
+
+registerSerializer('csv', {
+  contentType: 'text/csv; charset=utf-8',
+  serialize: (result) => toCsvLine(CSV_COLUMNS) + csvRows(result),
+  createBatch: () => ({
+    begin: () => toCsvLine(CSV_COLUMNS),
+    item: (line) => (line.success
+      ? csvRows(line)
+      : toCsvLine([line.url, null, null, null, null, null, null, null, null, line.message || line.error])),
+    end: () => ''
+  })
+});
+
+registerSerializer('jsonld', {
+  contentType: 'application/ld+json; charset=utf-8',
+  serialize: (result) => JSON.stringify({ '@context': 'https://schema.org', ...toJsonLd(result) }),
+  // One document with every listing in @graph; failed listings are left out
+  createBatch: () => {
+    let first = true;
+    return {
+      begin: () => '{"@context":"https://schema.org","@graph":[',
+      item: (line) => {
+        if (!line.success) return '';
+        const chunk = (first ? '' : ',') + JSON.stringify(toJsonLd(line));
+        first = false;
+        return chunk;
+      },
+      end: () => ']}\n'
+    };
+  }
+});
+
+registerSerializer('markdown', {
+  contentType: 'text/markdown; charset=utf-8',
+  serialize: toMarkdown,
+  createBatch: () => ({
+    begin: () => '',
+    item: (line) => (line.success
+      ? toMarkdown(line)
+      : `# Failed: <${line.url}>\n\n${escapeMarkdown(line.message || line.error)}\n`) + '\n---\n\n',
+    end: (summary) => `**${summary.total} listings:** ${summary.succeeded} succeeded, ${summary.failed} failed, ` +
+      `${summary.skipped} skipped in ${(summary.durationMs / 1000).toFixed(1)}s\n`
+  })
+});
+
+module.exports = {
+  registerSerializer,
+  getSerializer,
+  listFormats,
+  negotiate,
+  toCsvLine,
+  toJsonLd,
+  toMarkdown
+};
@@ -2,6 +2,31 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const scraper = require('./scraper');
+const jobs = require('./jobs');
+const browserPool = require('./browserPool');
+const reviews = require('./reviews');
+const { parseStayOptions } = require('./availability');
+const search = require('./search');
+const batch = require('./batch');
+const cache = require('./cache');
+const { parseImageFilter } = require('./imageFilter');
+const { parseImageSizes } = require('./gallery');
+const archive = require('./archive');
+const capture = require('./capture');
+const history = require('./history');
+const webhooks = require('./webhooks');
+const auth = require('./auth');
+const metrics = require('./metrics');
+const { parseListingPage } = require('./parse');
+const recorder = require('./recorder');
+const serializers = require('./serializers');
+const listingUrl = require('./listingUrl');
+const { parseLocaleOptions } = require('./locale');
+const { SCRAPE_ERRORS } = require('./scrapeErrors');
+const { logger, installConsole, requestContext } = require('./logger');
+
+// Emit all console output as structured log lines
+installConsole();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -19,137 +44,1464 @@ const corsOptions = {
     const isAllowed = allowedOrigins.includes(origin);
     return callback(isAllowed ? null : new Error('Not allowed by CORS'), isAllowed);
   },
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id', 'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-Quota-Limit', 'X-Quota-Remaining'],
   optionsSuccessStatus: 204,
   maxAge: 600
 };
 
+/**
+ * Scrapes a request counts against its API key's monthly quota: one per listing, search,
+ * calendar, reviews page, archive, capture or replay, and one per URL in a batch
+ */
+/**
+ * Listing jobs a search with enqueue: true may queue: its limit, or the search default
+ */
+const enqueueLimit = (limit) => {
+  const parsed = parseInt(limit);
+  return parsed >= 1 ? Math.min(parsed, search.MAX_LIMIT) : search.DEFAULT_LIMIT;
+};
+
+const scrapeCost = (req) => {
+  // Routes match regardless of case and trailing slash, so the charge must too
+  const routePath = req.path.toLowerCase().replace(/\/+$/, '');
+  if (req.method === 'POST' && routePath === '/scrape/batch') {
+    return Array.isArray(req.body?.urls) ? Math.max(1, req.body.urls.length) : 1;
+  }
+  // An enqueueing search reserves one scrape per job it may queue; unused ones are refunded
+  if (req.method === 'POST' && routePath === '/search' && req.body?.enqueue === true) {
+    return 1 + enqueueLimit(req.body.limit);
+  }
+  if (req.method === 'POST' && ['/scrape', '/jobs', '/search', '/availability', '/capture'].includes(routePath)) {
+    return 1;
+  }
+  if (req.method === 'GET' && /^\/listings\/[^/]+\/reviews$/.test(routePath)) {
+    return 1;
+  }
+  if (req.method === 'POST' && /^\/listings\/[^/]+\/archive$/.test(routePath)) {
+    return 1;
+  }
+  if (req.method === 'POST' && /^\/recordings\/[^/]+\/replay$/.test(routePath)) {
+    return 1;
+  }
+  return 0;
+};
+
+const requireApiKey = auth.requireApiKey({ cost: scrapeCost });
+
+/**
+ * ID of the API key a request was made with, or null when API keys are disabled. Jobs, recordings,
+ * webhook subscriptions and deliveries belong to the key that created them and are hidden from others.
+ */
+const ownerOf = (req) => req.apiKey ? req.apiKey.id : null;
+
 // Middleware
+app.use(requestContext);
+app.use(metrics.httpMetrics);
 app.use(cors(corsOptions));
+
+// Saved pages are much larger than other request bodies; they arrive as JSON or raw HTML/MHTML
+const PARSE_MAX_BYTES = process.env.PARSE_MAX_BYTES || '20mb';
+app.use('/api/parse',
+  express.json({ limit: PARSE_MAX_BYTES }),
+  express.text({ type: ['text/html', 'multipart/related', 'message/rfc822', 'application/x-mimearchive'], limit: PARSE_MAX_BYTES }));
 app.use(express.json());
 
+// Prometheus metrics (outside /api, so no API key is needed)
+app.get('/metrics', async (req, res) => {
+  res.set('Content-Type', metrics.registry.contentType);
+  res.send(await metrics.registry.metrics());
+});
+
+// Every /api route needs an API key except the health check and the admin routes (admin key)
+app.use('/api', (req, res, next) => {
+  if (req.path === '/health' || req.path.startsWith('/admin/')) return next();
+  return requireApiKey(req, res, next);
+});
+app.use('/api/admin', auth.requireAdmin);
+
+/**
+ * Validate the per-listing scrape options in a request body. Returns { error } or { options }.
+ */
+const parseListingOptions = (body = {}) => {
+  const { useProxy, maxImages, cache: cacheMode, record, originalTitle } = body;
+
+  // Validate cache mode if provided
+  if (cacheMode !== undefined && !cache.CACHE_MODES.includes(cacheMode)) {
+    return { error: `Invalid cache value. Must be one of: ${cache.CACHE_MODES.join(', ')}.` };
+  }
+
+  if (record !== undefined && typeof record !== 'boolean') {
+    return { error: 'Invalid record value. Must be a boolean.' };
+  }
+
+  if (originalTitle !== undefined && typeof originalTitle !== 'boolean') {
+    return { error: 'Invalid originalTitle value. Must be a boolean.' };
+  }
+
+  // Validate locale and currency if provided
+  const { error: localeError, locale, currency } = parseLocaleOptions(body);
+  if (localeError) {
+    return { error: localeError };
+  }
+
+  // Override proxy setting if specified
+  const proxyOverride = typeof useProxy === 'boolean' ? useProxy : undefined;
+
+  // Validate maxImages if provided
+  let maxImagesOverride = undefined;
+  if (maxImages !== undefined) {
+    const parsed = parseInt(maxImages);
+    if (isNaN(parsed) || parsed < 1) {
+      return { error: 'Invalid maxImages value. Must be a positive integer.' };
+    }
+    maxImagesOverride = parsed;
+  }
+
+  // Validate stay dates and guests if provided
+  const { error: stayError, stay } = parseStayOptions(body);
+  if (stayError) {
+    return { error: stayError };
+  }
+
+  // Validate the image filter if provided
+  const { error: filterError, filter: imageFilter } = parseImageFilter(body.imageFilter);
+  if (filterError) {
+    return { error: filterError };
+  }
+
+  // Validate the output image sizes if provided
+  const { error: sizesError, imageSizes } = parseImageSizes(body.imageSizes);
+  if (sizesError) {
+    return { error: sizesError };
+  }
+
+  return {
+    options: {
+      useProxy: proxyOverride,
+      maxImages: maxImagesOverride,
+      stay,
+      imageFilter,
+      imageSizes,
+      cache: cacheMode,
+      record: record || undefined,
+      locale: locale || undefined,
+      currency: currency || undefined,
+      originalTitle: originalTitle || undefined
+    }
+  };
+};
+
+/**
+ * Validate a scrape request body. Returns { error, code } or { url, options }.
+ *
+ * Listing URLs come back canonical; vanity URLs and short links are resolved when the scrape runs.
+ */
+const parseScrapeRequest = (body = {}) => {
+  const { url } = body;
+
+  // Validate input
+  if (!url) {
+    return { error: 'URL is required', code: 'URL_REQUIRED' };
+  }
+
+  const listing = listingUrl.parseListingUrl(url);
+  if (listing.error) {
+    return { error: listing.error, code: listing.code };
+  }
+
+  const { error, options } = parseListingOptions(body);
+  if (error) {
+    return { error };
+  }
+
+  return { url: listing.url, options };
+};
+
+/**
+ * Validate an optional callbackUrl. Returns { error } or { callbackUrl }. Callbacks need WEBHOOK_SECRET,
+ * since receivers could not tell unsigned deliveries from forged ones.
+ */
+const parseCallbackUrl = (body = {}) => {
+  const { callbackUrl } = body;
+  if (callbackUrl === undefined) {
+    return { callbackUrl: undefined };
+  }
+  if (!webhooks.isValidTargetUrl(callbackUrl)) {
+    return { error: 'Invalid callbackUrl. Must be an http or https URL.' };
+  }
+  if (!webhooks.getCallbackSecret()) {
+    return { error: 'callbackUrl is not available: the server has no WEBHOOK_SECRET to sign callback deliveries with.' };
+  }
+  return { callbackUrl };
+};
+
+/**
+ * A request body as it is logged: the URL and the names of the options it sets. Whole bodies are
+ * never logged, since they can carry callback URLs, webhook secrets and saved pages.
+ */
+const describeBody = (body) => {
+  const { url, ...options } = body || {};
+  return { url: typeof url === 'string' ? url : undefined, options: Object.keys(options) };
+};
+
+/**
+ * Respond to a failed browser scrape: classified failures (see scrapeErrors.js) with their own
+ * status and code, anything else with a 500 and the given description. Both list the attempts made.
+ */
+const sendScrapeFailure = (res, error, description) => {
+  const classified = SCRAPE_ERRORS[error.code];
+  res.status(classified ? error.status : 500).json({
+    success: false,
+    error: classified ? classified.error : description,
+    ...(classified && { code: error.code }),
+    message: error.message,
+    ...(error.attempts && { attempts: error.attempts }),
+    ...(error.recordingId && { recordingId: error.recordingId })
+  });
+};
+
 // Routes
 app.post('/api/scrape', async (req, res) => {
-  console.log('\n🔍 [API HIT] POST /api/scrape');
-  console.log('📋 Request Body:', JSON.stringify(req.body, null, 2));
-  console.log('🕐 Timestamp:', new Date().toISOString());
+  logger.info('Request received', describeBody(req.body));
 
   try {
-    const { url, useProxy, maxImages } = req.body;
-
-    // Validate input
-    if (!url) {
+    const parsed = parseScrapeRequest(req.body);
+    if (parsed.error) {
       return res.status(400).json({
         success: false,
-        error: 'URL is required'
+        error: parsed.error,
+        code: parsed.code
       });
     }
 
-    if (!scraper.validateAirbnbUrl(url)) {
-      return res.status(400).json({
+    const { url, options } = parsed;
+
+    const output = serializers.negotiate(req);
+    if (output.error) {
+      return res.status(output.status).json({
         success: false,
-        error: 'Invalid Airbnb URL. Please provide a valid Airbnb listing URL.'
+        error: output.error
       });
     }
 
-    // Override proxy setting if specified
-    const proxyOverride = typeof useProxy === 'boolean' ? useProxy : undefined;
+    const { error: callbackError, callbackUrl } = parseCallbackUrl(req.body);
+    if (callbackError) {
+      return res.status(400).json({
+        success: false,
+        error: callbackError
+      });
+    }
 
-    // Validate maxImages if provided
-    let maxImagesOverride = undefined;
-    if (maxImages !== undefined) {
-      const parsed = parseInt(maxImages);
-      if (isNaN(parsed) || parsed < 1) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid maxImages value. Must be a positive integer.'
-        });
-      }
-      maxImagesOverride = parsed;
+    // With a callback URL the scrape runs as a job and the result is delivered to the callback
+    if (callbackUrl) {
+      const job = jobs.createJob({ url, ...options, callbackUrl }, ownerOf(req));
+      logger.info('Job queued with callback', { jobId: job.id });
+      return res.status(202).json({
+        success: true,
+        jobId: job.id,
+        state: job.state,
+        statusUrl: `/api/jobs/${job.id}`,
+        callbackUrl
+      });
     }
 
     // Scrape the listing
-    console.log('🌐 Starting scrape for URL:', url);
-    console.log('🔧 Using proxy:', proxyOverride !== undefined ? proxyOverride : 'default setting');
-    if (maxImagesOverride) {
-      console.log('📸 Max images override:', maxImagesOverride);
+    logger.info('Starting scrape', { url, useProxy: options.useProxy ?? null, maxImages: options.maxImages ?? null });
+
+    const result = await cache.scrapeListing(url, { ...options, owner: ownerOf(req) });
+
+    logger.info(result.fromCache ? 'Served from cache' : 'Scrape completed', {
+      listingId: result.listingId,
+      images: result.data?.gallery?.length || 0
+    });
+
+    res.vary('Accept');
+    if (output.name !== 'json') {
+      return res.type(output.serializer.contentType).send(output.serializer.serialize({ success: true, ...result }));
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    if (error.code === 'CACHE_MISS') {
+      logger.info('Cache miss with cache: "only"');
+      return res.status(error.status).json({
+        success: false,
+        error: 'Listing not in cache',
+        code: error.code,
+        message: error.message
+      });
+    }
+
+    if (error.code === 'URL_RESOLUTION_FAILED') {
+      return res.status(error.status).json({
+        success: false,
+        error: 'Could not resolve the listing URL',
+        code: error.code,
+        message: error.message
+      });
+    }
+
+    logger.error('Scrape failed', { err: error });
+    sendScrapeFailure(res, error, 'Failed to scrape the listing');
+  }
+});
+
+app.get('/api/resolve', async (req, res) => {
+  const { url } = req.query;
+  if (!url) {
+    return res.status(400).json({
+      success: false,
+      error: 'url is required',
+      code: 'URL_REQUIRED'
+    });
+  }
+
+  try {
+    const listing = await scraper.resolveListingUrl(url);
+    res.json({
+      success: true,
+      ...listing
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('URL resolution failed', { err: error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve the URL',
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/parse', (req, res) => {
+  // Raw bodies carry their options in the query string
+  const isRaw = typeof req.body === 'string';
+  const body = isRaw ? { ...req.query, html: req.body } : (req.body || {});
+  logger.info('Request received', { bytes: (body.html || '').length, url: body.url, raw: isRaw });
+
+  try {
+    if (typeof body.html !== 'string' || !body.html.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'html is required: send the page as JSON { "html": "..." } or as a text/html or multipart/related body'
+      });
+    }
+
+    if (body.url !== undefined && !scraper.validateAirbnbUrl(body.url)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Airbnb URL. Please provide a valid Airbnb listing URL.'
+      });
     }
 
-    const result = await scraper.scrapeAirbnbListing(url, proxyOverride, maxImagesOverride);
+    const { error, options } = parseListingOptions({ maxImages: body.maxImages, imageFilter: body.imageFilter, imageSizes: body.imageSizes });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
 
-    console.log('✅ Scrape completed successfully');
-    console.log('📊 Result preview:', {
-      title: result.data?.title?.substring(0, 50) + '...',
-      price: result.data?.price,
-      imagesCount: result.data?.images?.length || 0
+    const result = parseListingPage(body.html, {
+      url: body.url,
+      maxImages: options.maxImages,
+      imageFilter: options.imageFilter,
+      imageSizes: options.imageSizes
     });
 
+    logger.info('Parsed saved page', { images: result.data.gallery.length });
+
     res.json({
       success: true,
       ...result
     });
 
   } catch (error) {
-    console.error('❌ [ERROR] Scrape failed:', error.message);
-    console.error('Stack trace:', error.stack);
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Parse failed', { err: error });
     res.status(500).json({
       success: false,
-      error: 'Failed to scrape the listing',
+      error: 'Failed to parse the page',
       message: error.message
     });
   }
 });
 
-app.get('/api/health', (req, res) => {
-  console.log('\n💚 [API HIT] GET /api/health');
-  console.log('🕐 Timestamp:', new Date().toISOString());
+app.post('/api/scrape/batch', async (req, res) => {
+  const { urls, concurrency, ...sharedBody } = req.body || {};
 
-  const config = scraper.getProxyConfig();
-  res.json({
-    status: 'OK',
-    message: 'Airbnb Scraper API is running',
-    version: '1.0.0',
-    proxy: config
+  if (!Array.isArray(urls) || urls.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'urls must be a non-empty array'
+    });
+  }
+
+  if (urls.length > batch.getMaxUrls()) {
+    return res.status(400).json({
+      success: false,
+      error: `Too many URLs. A batch accepts at most ${batch.getMaxUrls()}.`
+    });
+  }
+
+  let concurrencyOverride = batch.getDefaultConcurrency();
+  if (concurrency !== undefined) {
+    const parsed = parseInt(concurrency);
+    if (isNaN(parsed) || parsed < 1 || parsed > batch.getMaxConcurrency()) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid concurrency value. Must be an integer between 1 and ${batch.getMaxConcurrency()}.`
+      });
+    }
+    concurrencyOverride = parsed;
+  }
+
+  const output = serializers.negotiate(req, { batch: true });
+  if (output.error) {
+    return res.status(output.status).json({
+      success: false,
+      error: output.error
+    });
+  }
+
+  // Shared options must be valid for the whole batch; per-item problems become error lines
+  const shared = parseListingOptions(sharedBody);
+  if (shared.error) {
+    return res.status(400).json({
+      success: false,
+      error: shared.error
+    });
+  }
+
+  // Each entry is a URL string or { url, ...options } overriding the shared options
+  const items = urls.map(entry => {
+    const itemBody = typeof entry === 'string' ? { ...sharedBody, url: entry } : { ...sharedBody, ...entry };
+    const parsed = parseScrapeRequest(itemBody);
+    return parsed.error ? { url: itemBody.url, error: parsed.error, code: parsed.code } : parsed;
   });
-});
 
-app.get('/', (req, res) => {
-  console.log('\n🏠 [API HIT] GET /');
-  console.log('🕐 Timestamp:', new Date().toISOString());
+  logger.info('Batch started', { urls: items.length, concurrency: concurrencyOverride });
 
-  res.json({
-    message: 'Airbnb Scraper API',
-    endpoints: {
-      scrape: 'POST /api/scrape',
-      health: 'GET /api/health'
+  // Stop scraping if the client goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      logger.warn('Batch client disconnected, cancelling remaining scrapes');
+      controller.abort();
+    }
+  });
+
+  const writer = output.serializer.createBatch();
+
+  res.status(200);
+  res.setHeader('Content-Type', output.serializer.batchContentType || output.serializer.contentType);
+  res.setHeader('Cache-Control', 'no-cache');
+  res.vary('Accept');
+  res.flushHeaders();
+  res.write(writer.begin());
+
+  const summary = await batch.runBatch(items, {
+    concurrency: concurrencyOverride,
+    signal: controller.signal,
+    owner: ownerOf(req),
+    onResult: (line) => {
+      logger.info(line.success ? 'Batch item succeeded' : 'Batch item failed', { index: line.index, url: line.url });
+      if (!controller.signal.aborted) res.write(writer.item(line));
     }
   });
+
+  logger.info('Batch finished', { succeeded: summary.succeeded, failed: summary.failed, durationMs: summary.durationMs });
+  if (!controller.signal.aborted) {
+    res.end(writer.end(summary));
+  }
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    success: false,
-    error: 'Something went wrong!'
+app.post('/api/jobs', (req, res) => {
+  logger.info('Request received', describeBody(req.body));
+
+  const parsed = parseScrapeRequest(req.body);
+  if (parsed.error) {
+    return res.status(400).json({
+      success: false,
+      error: parsed.error,
+      code: parsed.code
+    });
+  }
+
+  const { error: callbackError, callbackUrl } = parseCallbackUrl(req.body);
+  if (callbackError) {
+    return res.status(400).json({
+      success: false,
+      error: callbackError
+    });
+  }
+
+  const job = jobs.createJob({ url: parsed.url, ...parsed.options, ...(callbackUrl && { callbackUrl }) }, ownerOf(req));
+  logger.info('Job queued', { jobId: job.id });
+
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    state: job.state,
+    statusUrl: `/api/jobs/${job.id}`
   });
 });
 
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`\n🚀 Airbnb Scraper API is running`);
-  console.log(`📍 Local: http://localhost:${PORT}`);
-  console.log(`\nEndpoints:`);
-  console.log(`  POST /api/scrape - Scrape Airbnb listing`);
-  console.log(`  GET  /api/health - Check API status`);
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobs.getJob(req.params.id, ownerOf(req));
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
 
-  const config = scraper.getProxyConfig();
-  if (config.enabled) {
-    console.log(`\n🔒 Proxy: ${config.type} (${config.host || 'Configured'})`);
-  } else {
-    console.log(`\n🌐 Direct connection (no proxy)`);
+  res.json({
+    success: true,
+    job
+  });
+});
+
+app.delete('/api/jobs/:id', (req, res) => {
+  const existing = jobs.getJob(req.params.id, ownerOf(req));
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  if (jobs.FINISHED_STATES.includes(existing.state)) {
+    return res.status(409).json({
+      success: false,
+      error: `Job already ${existing.state}`
+    });
   }
+
+  res.json({
+    success: true,
+    job: jobs.cancelJob(req.params.id)
+  });
 });
 
+app.post('/api/search', async (req, res) => {
+  logger.info('Request received', describeBody(req.body));
+
+  try {
+    const body = req.body || {};
+    const { url, location, checkIn, checkOut, adults, children, pets, priceMin, priceMax, domain, limit, useProxy, enqueue } = body;
+
+    let searchUrl;
+    if (url) {
+      if (!scraper.validateAirbnbUrl(url) || !search.isSearchUrl(url)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Airbnb search URL. Expected a URL like https://www.airbnb.com/s/Lisbon/homes'
+        });
+      }
+      searchUrl = url;
+    } else {
+      if (!location || typeof location !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'Either url or location is required'
+        });
+      }
+
+      if (checkIn !== undefined || checkOut !== undefined) {
+        const { error } = parseStayOptions({ checkIn, checkOut, adults, children, pets });
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            error
+          });
+        }
+      }
+
+      for (const [key, value] of [['priceMin', priceMin], ['priceMax', priceMax]]) {
+        if (value !== undefined && (isNaN(parseFloat(value)) || parseFloat(value) < 0)) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid ${key} value. Must be a non-negative number.`
+          });
+        }
+      }
+      if (priceMin !== undefined && priceMax !== undefined && parseFloat(priceMin) > parseFloat(priceMax)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid price range. priceMin must not exceed priceMax.'
+        });
+      }
+
+      searchUrl = search.buildSearchUrl({ location, checkIn, checkOut, adults, children, pets, priceMin, priceMax, domain });
+      if (!scraper.validateAirbnbUrl(searchUrl)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid domain. Please provide an Airbnb domain such as www.airbnb.co.uk.'
+        });
+      }
+    }
+
+    let limitOverride = undefined;
+    if (limit !== undefined) {
+      const parsed = parseInt(limit);
+      if (isNaN(parsed) || parsed < 1 || parsed > search.MAX_LIMIT) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid limit value. Must be an integer between 1 and ${search.MAX_LIMIT}.`
+        });
+      }
+      limitOverride = parsed;
+    }
+
+    // Listing options (maxImages, etc.) are validated up front so enqueued jobs cannot fail on them
+    let listingOptions = {};
+    if (enqueue === true) {
+      // Search dates and guests narrow the search; they are not a stay quote for every listing
+      const parsed = parseListingOptions({ useProxy, maxImages: body.maxImages });
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          error: parsed.error
+        });
+      }
+      listingOptions = parsed.options;
+    }
+
+    logger.info('Starting search', { url: searchUrl });
+
+    const result = await search.scrapeSearchResults(searchUrl, {
+      limit: limitOverride,
+      useProxy: typeof useProxy === 'boolean' ? useProxy : undefined
+    });
+
+    logger.info('Search completed', { results: result.totalResults, pages: result.pages });
+
+    // Optionally queue a full listing scrape for every result
+    if (enqueue === true) {
+      result.jobs = result.results.map(item => ({
+        listingId: item.listingId,
+        jobId: jobs.createJob({ url: item.url, ...listingOptions }, ownerOf(req)).id
+      }));
+      auth.refundScrapes(req, res, enqueueLimit(limit) - result.jobs.length);
+      logger.info('Queued listing jobs', { jobs: result.jobs.length });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    logger.error('Search failed', { err: error });
+    sendScrapeFailure(res, error, 'Failed to scrape the search results');
+  }
+});
+
+app.post('/api/availability', async (req, res) => {
+  logger.info('Request received', describeBody(req.body));
+
+  try {
+    const { url, useProxy, months } = req.body || {};
+
+    if (!url) {
+      return res.status(400).json({
+        success: false,
+        error: 'URL is required'
+      });
+    }
+
+    const listing = listingUrl.parseListingUrl(url);
+    if (listing.error) {
+      return res.status(400).json({
+        success: false,
+        error: listing.error,
+        code: listing.code
+      });
+    }
+
+    let monthsOverride = undefined;
+    if (months !== undefined) {
+      const parsed = parseInt(months);
+      if (isNaN(parsed) || parsed < 1 || parsed > 12) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid months value. Must be an integer between 1 and 12.'
+        });
+      }
+      monthsOverride = parsed;
+    }
+
+    const { url: resolvedUrl } = await scraper.resolveListingUrl(listing.url, {
+      useProxy: typeof useProxy === 'boolean' ? useProxy : undefined
+    });
+    const result = await scraper.scrapeAvailabilityCalendar(resolvedUrl, {
+      useProxy: typeof useProxy === 'boolean' ? useProxy : undefined,
+      months: monthsOverride
+    });
+
+    logger.info('Calendar scraped', { url: resolvedUrl });
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    if (error.code === 'URL_RESOLUTION_FAILED') {
+      return res.status(error.status).json({
+        success: false,
+        error: 'Could not resolve the listing URL',
+        code: error.code,
+        message: error.message
+      });
+    }
+
+    logger.error('Calendar scrape failed', { err: error });
+    sendScrapeFailure(res, error, 'Failed to scrape the availability calendar');
+  }
+});
+
+app.get('/api/listings/:id/reviews', async (req, res) => {
+  logger.info('Request received', { query: req.query });
+
+  try {
+    const { id } = req.params;
+    const { limit, cursor, domain, useProxy } = req.query;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid listing ID. Must be numeric.'
+      });
+    }
+
+    let limitOverride = undefined;
+    if (limit !== undefined) {
+      const parsed = parseInt(limit);
+      if (isNaN(parsed) || parsed < 1 || parsed > reviews.MAX_LIMIT) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid limit value. Must be an integer between 1 and ${reviews.MAX_LIMIT}.`
+        });
+      }
+      limitOverride = parsed;
+    }
+
+    if (reviews.decodeCursor(cursor) === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor'
+      });
+    }
+
+    const listingUrl = `https://${domain || 'www.airbnb.com'}/rooms/${id}`;
+    if (!scraper.validateAirbnbUrl(listingUrl)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid domain. Please provide an Airbnb domain such as www.airbnb.co.uk.'
+      });
+    }
+
+    const result = await reviews.scrapeListingReviews(listingUrl, {
+      limit: limitOverride,
+      cursor,
+      useProxy: useProxy === undefined ? undefined : useProxy === 'true'
+    });
+
+    logger.info('Reviews scraped', { reviews: result.reviews.length, source: result.source });
+
+    res.json({
+      success: true,
+      listingId: id,
+      ...result
+    });
+
+  } catch (error) {
+    logger.error('Reviews scrape failed', { err: error });
+    sendScrapeFailure(res, error, 'Failed to scrape the listing reviews');
+  }
+});
+
+app.get('/api/listings/:id/history', (req, res) => {
+  const { id } = req.params;
+  if (!/^\d+$/.test(id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid listing ID. Must be numeric.'
+    });
+  }
+
+  const snapshots = history.getHistory(id);
+  res.json({
+    success: true,
+    listingId: id,
+    totalSnapshots: snapshots.length,
+    snapshots
+  });
+});
+
+app.get('/api/listings/:id/history/:version', (req, res) => {
+  const { id, version } = req.params;
+  const snapshot = /^\d+$/.test(id) && /^\d+$/.test(version)
+    ? history.getSnapshot(id, parseInt(version))
+    : null;
+
+  if (!snapshot) {
+    return res.status(404).json({
+      success: false,
+      error: 'Snapshot not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    ...snapshot
+  });
+});
+
+app.get('/api/listings/:id/diff', (req, res) => {
+  logger.info('Request received', { query: req.query });
+
+  const { id } = req.params;
+  if (!/^\d+$/.test(id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid listing ID. Must be numeric.'
+    });
+  }
+
+  const versions = history.listVersions(id);
+  if (versions.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: 'No snapshots for this listing'
+    });
+  }
+
+  // Default: the latest snapshot against the one before it
+  const latest = versions[versions.length - 1];
+  const requested = {};
+  for (const name of ['from', 'to']) {
+    const value = req.query[name];
+    if (value === undefined) continue;
+    if (!/^\d+$/.test(value)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid ${name} value. Must be a snapshot version number.`
+      });
+    }
+    requested[name] = parseInt(value);
+  }
+
+  const to = requested.to ?? latest;
+  const from = requested.from ?? versions.filter(version => version < to).pop();
+  if (from === undefined) {
+    return res.status(400).json({
+      success: false,
+      error: 'Only one snapshot exists; nothing to compare against.'
+    });
+  }
+
+  const fromSnapshot = history.getSnapshot(id, from);
+  const toSnapshot = history.getSnapshot(id, to);
+  if (!fromSnapshot || !toSnapshot) {
+    return res.status(404).json({
+      success: false,
+      error: `Snapshot ${!fromSnapshot ? from : to} not found`,
+      versions
+    });
+  }
+
+  res.json({
+    success: true,
+    listingId: id,
+    ...history.diffSnapshots(fromSnapshot, toSnapshot)
+  });
+});
+
+app.post('/api/listings/:id/archive', async (req, res) => {
+  logger.info('Request received', describeBody(req.body));
+
+  try {
+    const { id } = req.params;
+    const { domain } = req.body || {};
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid listing ID. Must be numeric.'
+      });
+    }
+
+    const listingUrl = `https://${domain || 'www.airbnb.com'}/rooms/${id}`;
+    if (!scraper.validateAirbnbUrl(listingUrl)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid domain. Please provide an Airbnb domain such as www.airbnb.co.uk.'
+      });
+    }
+
+    const { error: resolutionError, resolution } = archive.parseResolution(req.body?.resolution);
+    if (resolutionError) {
+      return res.status(400).json({
+        success: false,
+        error: resolutionError
+      });
+    }
+
+    const { error, options } = parseListingOptions(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    // Stop downloading if the client goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    const manifest = await archive.createArchive(listingUrl, {
+      ...options,
+      resolution,
+      owner: ownerOf(req),
+      signal: controller.signal
+    });
+
+    logger.info('Archive created', { archiveId: manifest.archiveId, downloaded: manifest.downloaded, totalImages: manifest.totalImages });
+
+    res.status(201).json({
+      success: true,
+      downloadUrl: `/api/archives/${manifest.archiveId}/download`,
+      ...manifest
+    });
+
+  } catch (error) {
+    if (error.code === 'CACHE_MISS') {
+      return res.status(error.status).json({
+        success: false,
+        error: 'Listing not in cache',
+        code: error.code,
+        message: error.message
+      });
+    }
+
+    logger.error('Archive failed', { err: error });
+    sendScrapeFailure(res, error, 'Failed to archive the listing gallery');
+  }
+});
+
+app.get('/api/archives/:archiveId', (req, res) => {
+  const manifest = archive.getArchive(req.params.archiveId);
+  if (!manifest) {
+    return res.status(404).json({
+      success: false,
+      error: 'Archive not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    downloadUrl: `/api/archives/${manifest.archiveId}/download`,
+    ...manifest
+  });
+});
+
+app.get('/api/archives/:archiveId/download', async (req, res) => {
+  const manifest = archive.getArchive(req.params.archiveId);
+  if (!manifest) {
+    return res.status(404).json({
+      success: false,
+      error: 'Archive not found'
+    });
+  }
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="airbnb-${manifest.archiveId}.zip"`);
+
+  try {
+    await archive.streamZip(manifest, res);
+  } catch (error) {
+    logger.error('ZIP stream failed', { err: error });
+    res.destroy(error);
+  }
+});
+
+app.post('/api/capture', async (req, res) => {
+  logger.info('Request received', describeBody(req.body));
+
+  try {
+    const body = req.body || {};
+    const { url, useProxy } = body;
+
+    if (!url) {
+      return res.status(400).json({
+        success: false,
+        error: 'URL is required',
+        code: 'URL_REQUIRED'
+      });
+    }
+
+    const listing = listingUrl.parseListingUrl(url);
+    if (listing.error) {
+      return res.status(400).json({
+        success: false,
+        error: listing.error,
+        code: listing.code
+      });
+    }
+
+    const { error, options } = capture.parseCaptureOptions(body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const { error: localeError, locale, currency } = parseLocaleOptions(body);
+    if (localeError) {
+      return res.status(400).json({
+        success: false,
+        error: localeError
+      });
+    }
+
+    // Stop the capture if the client goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    const { url: resolvedUrl } = await scraper.resolveListingUrl(listing.url, {
+      useProxy: typeof useProxy === 'boolean' ? useProxy : undefined,
+      signal: controller.signal
+    });
+    const { artifacts, ...result } = await capture.captureListing(resolvedUrl, {
+      ...options,
+      useProxy: typeof useProxy === 'boolean' ? useProxy : undefined,
+      locale: locale || undefined,
+      currency: currency || undefined,
+      signal: controller.signal
+    });
+
+    logger.info('Listing captured', { artifacts: artifacts.map(artifact => ({ format: artifact.format, bytes: artifact.bytes })) });
+
+    if (options.delivery === 'stored') {
+      const manifest = capture.storeCapture({ ...result, artifacts });
+      return res.status(201).json({
+        success: true,
+        ...result,
+        ...manifest,
+        artifacts: manifest.artifacts.map(artifact => ({
+          ...artifact,
+          downloadUrl: `/api/captures/${manifest.captureId}/${artifact.format}`
+        }))
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result,
+      artifacts: artifacts.map(({ buffer, ...artifact }) => ({ ...artifact, data: buffer.toString('base64') }))
+    });
+
+  } catch (error) {
+    if (error.code === 'URL_RESOLUTION_FAILED') {
+      return res.status(error.status).json({
+        success: false,
+        error: 'Could not resolve the listing URL',
+        code: error.code,
+        message: error.message
+      });
+    }
+
+    logger.error('Capture failed', { err: error });
+    sendScrapeFailure(res, error, 'Failed to capture the listing page');
+  }
+});
+
+app.get('/api/captures/:captureId', (req, res) => {
+  const manifest = capture.getCapture(req.params.captureId);
+  if (!manifest) {
+    return res.status(404).json({
+      success: false,
+      error: 'Capture not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    ...manifest,
+    artifacts: manifest.artifacts.map(artifact => ({
+      ...artifact,
+      downloadUrl: `/api/captures/${manifest.captureId}/${artifact.format}`
+    }))
+  });
+});
+
+app.get('/api/captures/:captureId/:format', (req, res) => {
+  const manifest = capture.getCapture(req.params.captureId);
+  const stored = manifest && capture.getArtifactPath(manifest, req.params.format);
+  if (!stored) {
+    return res.status(404).json({
+      success: false,
+      error: 'Capture not found'
+    });
+  }
+
+  res.setHeader('Content-Type', stored.artifact.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="airbnb-${stored.artifact.file}"`);
+  res.sendFile(stored.file, (error) => {
+    if (error && !res.headersSent) {
+      logger.error('Capture download failed', { err: error });
+      res.status(404).json({
+        success: false,
+        error: 'Capture file not found'
+      });
+    }
+  });
+});
+
+app.get('/api/recordings', (req, res) => {
+  const recordings = recorder.listRecordings(ownerOf(req));
+  res.json({
+    success: true,
+    total: recordings.length,
+    recordings
+  });
+});
+
+app.get('/api/recordings/:id', (req, res) => {
+  const har = recorder.loadRecording(req.params.id, ownerOf(req));
+  if (!har) {
+    return res.status(404).json({
+      success: false,
+      error: 'Recording not found'
+    });
+  }
+
+  res.setHeader('Content-Disposition', `attachment; filename="${req.params.id}.har"`);
+  res.json(har);
+});
+
+app.post('/api/recordings/:id/replay', async (req, res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  try {
+    logger.info('Replaying recording', { recordingId: req.params.id });
+    const result = await scraper.replayRecording(req.params.id, { owner: ownerOf(req), signal: controller.signal });
+    logger.info('Replay completed', { identical: result.replay.identical, missed: result.replay.missed });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    if (error.status && !SCRAPE_ERRORS[error.code]) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Replay failed', { err: error });
+    sendScrapeFailure(res, error, 'Failed to replay the recording');
+  }
+});
+
+app.post('/api/webhooks', (req, res) => {
+  const { error, subscription } = webhooks.createSubscription(req.body, ownerOf(req));
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  logger.info('Webhook subscription created', { subscriptionId: subscription.id, events: subscription.events });
+  res.status(201).json({
+    success: true,
+    subscription
+  });
+});
+
+app.get('/api/webhooks', (req, res) => {
+  res.json({
+    success: true,
+    events: webhooks.EVENTS,
+    subscriptions: webhooks.listSubscriptions(ownerOf(req))
+  });
+});
+
+app.delete('/api/webhooks/:id', (req, res) => {
+  if (!webhooks.deleteSubscription(req.params.id, ownerOf(req))) {
+    return res.status(404).json({
+      success: false,
+      error: 'Subscription not found'
+    });
+  }
+
+  res.json({
+    success: true
+  });
+});
+
+app.get('/api/webhooks/deliveries', (req, res) => {
+  const { event, state, subscriptionId, limit } = req.query;
+
+  let limitOverride = undefined;
+  if (limit !== undefined) {
+    const parsed = parseInt(limit);
+    if (isNaN(parsed) || parsed < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid limit value. Must be a positive integer.'
+      });
+    }
+    limitOverride = parsed;
+  }
+
+  if (state !== undefined && !['pending', 'delivered', 'failed'].includes(state)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid state. Must be one of: pending, delivered, failed.'
+    });
+  }
+
+  res.json({
+    success: true,
+    deliveries: webhooks.listDeliveries({ event, state, subscriptionId, limit: limitOverride, owner: ownerOf(req) })
+  });
+});
+
+app.get('/api/webhooks/deliveries/:id', (req, res) => {
+  const delivery = webhooks.getDelivery(req.params.id, ownerOf(req));
+  if (!delivery) {
+    return res.status(404).json({
+      success: false,
+      error: 'Delivery not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    delivery
+  });
+});
+
+app.post('/api/webhooks/deliveries/:id/replay', (req, res) => {
+  const { error, status, delivery } = webhooks.replayDelivery(req.params.id, ownerOf(req));
+  if (error) {
+    return res.status(status).json({
+      success: false,
+      error
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    delivery
+  });
+});
+
+app.get('/api/usage', (req, res) => {
+  if (!req.apiKey) {
+    return res.status(404).json({
+      success: false,
+      error: 'API key authentication is disabled'
+    });
+  }
+
+  res.json({
+    success: true,
+    key: auth.toPublicKey(req.apiKey)
+  });
+});
+
+app.post('/api/admin/keys', (req, res) => {
+  const { error, key, record } = auth.createKey(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  logger.info('API key created', { keyId: record.id, name: record.name });
+  res.status(201).json({
+    success: true,
+    key,
+    apiKey: record
+  });
+});
+
+app.get('/api/admin/keys', (req, res) => {
+  res.json({
+    success: true,
+    apiKeys: auth.listKeys()
+  });
+});
+
+app.patch('/api/admin/keys/:id', (req, res) => {
+  const { error, status, record } = auth.updateKey(req.params.id, req.body);
+  if (error) {
+    return res.status(status).json({
+      success: false,
+      error
+    });
+  }
+
+  res.json({
+    success: true,
+    apiKey: record
+  });
+});
+
+app.delete('/api/admin/keys/:id', (req, res) => {
+  const { error, status } = auth.revokeKey(req.params.id);
+  if (error) {
+    return res.status(status).json({
+      success: false,
+      error
+    });
+  }
+
+  res.json({
+    success: true
+  });
+});
+
+app.get('/api/admin/usage', (req, res) => {
+  const { month } = req.query;
+  if (month !== undefined && !/^\d{4}-\d{2}$/.test(month)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid month. Use YYYY-MM.'
+    });
+  }
+
+  res.json({
+    success: true,
+    ...auth.getUsageReport(month)
+  });
+});
+
+app.get('/api/health', (req, res) => {
+  const config = scraper.getProxyConfig();
+  res.json({
+    status: 'OK',
+    message: 'Airbnb Scraper API is running',
+    version: '1.0.0',
+    proxy: config,
+    auth: { enabled: auth.isEnabled() },
+    browserPool: browserPool.getStats()
+  });
+});
+
+app.get('/', (req, res) => {
+  res.json({
+    message: 'Airbnb Scraper API',
+    endpoints: {
+      scrape: 'POST /api/scrape',
+      batch: 'POST /api/scrape/batch',
+      resolve: 'GET /api/resolve?url=',
+      parse: 'POST /api/parse',
+      createJob: 'POST /api/jobs',
+      jobStatus: 'GET /api/jobs/:id',
+      cancelJob: 'DELETE /api/jobs/:id',
+      search: 'POST /api/search',
+      availability: 'POST /api/availability',
+      reviews: 'GET /api/listings/:id/reviews',
+      history: 'GET /api/listings/:id/history',
+      snapshot: 'GET /api/listings/:id/history/:version',
+      diff: 'GET /api/listings/:id/diff?from=&to=',
+      createArchive: 'POST /api/listings/:id/archive',
+      archive: 'GET /api/archives/:archiveId',
+      downloadArchive: 'GET /api/archives/:archiveId/download',
+      capture: 'POST /api/capture',
+      captureInfo: 'GET /api/captures/:captureId',
+      downloadCapture: 'GET /api/captures/:captureId/:format',
+      recordings: 'GET /api/recordings',
+      recording: 'GET /api/recordings/:id',
+      replayRecording: 'POST /api/recordings/:id/replay',
+      createWebhook: 'POST /api/webhooks',
+      webhooks: 'GET /api/webhooks',
+      deleteWebhook: 'DELETE /api/webhooks/:id',
+      deliveries: 'GET /api/webhooks/deliveries',
+      delivery: 'GET /api/webhooks/deliveries/:id',
+      replayDelivery: 'POST /api/webhooks/deliveries/:id/replay',
+      usage: 'GET /api/usage',
+      createApiKey: 'POST /api/admin/keys',
+      apiKeys: 'GET /api/admin/keys',
+      updateApiKey: 'PATCH /api/admin/keys/:id',
+      revokeApiKey: 'DELETE /api/admin/keys/:id',
+      usageReport: 'GET /api/admin/usage?month=YYYY-MM',
+      health: 'GET /api/health',
+      metrics: 'GET /metrics'
+    }
+  });
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  logger.error('Unhandled error', { err });
+  res.status(500).json({
+    success: false,
+    error: 'Something went wrong!'
+  });
+});
+
+// Load API keys, resume persisted jobs and webhook deliveries, then start server
+auth.init();
+webhooks.init();
+jobs.init();
+
+const server = app.listen(PORT, '0.0.0.0', () => {
+  // GET / lists every endpoint
+  const config = scraper.getProxyConfig();
+  logger.info('Airbnb Scraper API is running', {
+    url: `http://localhost:${PORT}`,
+    proxy: config.enabled ? `${config.type} (${config.host || 'configured'})` : 'direct connection'
+  });
+});
+
+// Graceful shutdown: stop accepting requests and close pooled browsers
+const shutdown = async (signal) => {
+  logger.info('Shutting down', { signal });
+  server.close();
+  await browserPool.shutdown();
+  process.exit(0);
+};
+
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+/**
+ * Resolve a file name inside the data directory
+ */
+const dataPath = (name) => path.join(DATA_DIR, name);
+
+/**
+ * Read a JSON file from the data directory, returning the fallback if it is missing or unreadable
+ */
+const readJson = (name, fallback) => {
+  try {
+    return JSON.parse(fs.readFileSync(dataPath(name), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.log(`Could not read ${name}, starting empty:`, error.message);
+    }
+    return fallback;
+  }
+};
+
+/**
+ * Write a JSON file to the data directory (write to a temp file, then rename)
+ */
+const writeJson = (name, value) => {
+  const target = dataPath(name);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  const tmp = `${target}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value, null, 2));
+  fs.renameSync(tmp, target);
+};
+
+module.exports = {
+  DATA_DIR,
+  dataPath,
+  readJson,
+  writeJson
+};
@@ -0,0 +1,335 @@
+/**
+ * Webhook subscriptions and signed deliveries.
+ *
+ * Subscriptions receive the events they registered for; per-request callback URLs receive the
+ * outcome of their own job. Every delivery is kept in a log with its attempts so it can be
+ * inspected and replayed. Failed attempts are retried with exponential backoff, and pending
+ * deliveries resume after a restart.
+ *
+ * Subscriptions and deliveries belong to the API key that created them (owner, null when API keys
+ * are disabled). Events only reach the subscriptions of the key whose scrape produced them, and the
+ * query functions only return what the given owner may see; a null owner sees everything.
+ */
+
+const crypto = require('crypto');
+const store = require('./store');
+
+const SUBSCRIPTIONS_FILE = 'webhooks.json';
+const DELIVERIES_FILE = 'webhook-deliveries.json';
+const EVENTS = ['scrape.succeeded', 'scrape.failed', 'listing.changed'];
+const ATTEMPT_TIMEOUT_MS = 10000;
+
+const subscriptions = new Map();
+const deliveries = new Map();
+
+const getMaxAttempts = () => parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const getRetryBaseMs = () => parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 1000;
+const getLogSize = () => parseInt(process.env.WEBHOOK_LOG_SIZE) || 500;
+// Callback URLs are only accepted when their deliveries can be signed
+const getCallbackSecret = () => process.env.WEBHOOK_SECRET || null;
+
+const persistSubscriptions = () => {
+  store.writeJson(SUBSCRIPTIONS_FILE, Array.from(subscriptions.values()));
+};
+
+/**
+ * Persist the delivery log, dropping the oldest finished deliveries beyond WEBHOOK_LOG_SIZE
+ */
+const persistDeliveries = () => {
+  const overflow = deliveries.size - getLogSize();
+  if (overflow > 0) {
+    Array.from(deliveries.values())
+      .filter(delivery => delivery.state !== 'pending')
+      .slice(0, overflow)
+      .forEach(delivery => deliveries.delete(delivery.id));
+  }
+  store.writeJson(DELIVERIES_FILE, Array.from(deliveries.values()));
+};
+
+/**
+ * Check that a webhook target is an absolute http(s) URL
+ */
+const isValidTargetUrl = (url) => {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * HMAC-SHA256 signature of "<timestamp>.<body>", as sent in X-Webhook-Signature. Covering the
+ * X-Webhook-Timestamp value lets receivers reject old deliveries replayed with a new timestamp.
+ */
+const sign = (secret, timestamp, body) => `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * Shape a subscription for API responses. The secret is only shown when it is created.
+ */
+const toPublicSubscription = (subscription, { showSecret = false } = {}) => ({
+  id: subscription.id,
+  url: subscription.url,
+  events: subscription.events,
+  description: subscription.description,
+  createdAt: subscription.createdAt,
+  secret: showSecret ? subscription.secret : undefined
+});
+
+/**
+ * Shape a delivery for API responses; the log listing leaves out the payload
+ */
+const toPublicDelivery = (delivery, { includePayload = true } = {}) => {
+  const { payload, owner, ...rest } = delivery;
+  return includePayload ? { ...rest, payload } : rest;
+};
+
+/**
+ * Secret used to sign a delivery: the subscription's own, or WEBHOOK_SECRET for callback URLs
+ */
+const getSecret = (delivery) => {
+  if (delivery.subscriptionId) {
+    return subscriptions.get(delivery.subscriptionId)?.secret || null;
+  }
+  return getCallbackSecret();
+};
+
+/**
+ * Make one delivery attempt and schedule a retry if it fails
+ */
+const attemptDelivery = async (delivery) => {
+  const body = JSON.stringify({
+    id: delivery.id,
+    event: delivery.event,
+    createdAt: delivery.createdAt,
+    data: delivery.payload
+  });
+  const timestamp = new Date().toISOString();
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'airbnb-scraper-webhooks/1.0',
+    'X-Webhook-Id': delivery.id,
+    'X-Webhook-Event': delivery.event,
+    'X-Webhook-Timestamp': timestamp
+  };
+  const secret = getSecret(delivery);
+  if (secret) {
+    headers['X-Webhook-Signature'] = sign(secret, timestamp, body);
+  }
+
+  const started = Date.now();
+  const attempt = { at: timestamp, status: null, error: null, durationMs: null };
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(ATTEMPT_TIMEOUT_MS)
+    });
+    attempt.status = response.status;
+    if (!response.ok) {
+      attempt.error = `HTTP ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.message;
+  }
+
+  attempt.durationMs = Date.now() - started;
+  delivery.attempts.push(attempt);
+
+  if (!attempt.error) {
+    delivery.state = 'delivered';
+    delivery.deliveredAt = new Date().toISOString();
+    delivery.nextAttemptAt = null;
+    console.log(`Webhook ${delivery.event} delivered to ${delivery.url} (${delivery.id})`);
+  } else if (delivery.attempts.length >= getMaxAttempts()) {
+    delivery.state = 'failed';
+    delivery.nextAttemptAt = null;
+    console.log(`Webhook ${delivery.event} to ${delivery.url} failed after ${delivery.attempts.length} attempts: ${attempt.error}`);
+  } else {
+    const delay = getRetryBaseMs() * 2 ** (delivery.attempts.length - 1);
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    console.log(`Webhook ${delivery.event} to ${delivery.url} failed (${attempt.error}), retrying in ${delay}ms`);
+    schedule(delivery);
+  }
+
+  persistDeliveries();
+};
+
+/**
+ * Run the next attempt of a pending delivery when it is due
+ */
+const schedule = (delivery) => {
+  const delay = delivery.nextAttemptAt ? Math.max(0, Date.parse(delivery.nextAttemptAt) - Date.now()) : 0;
+  // Pending retries should not keep the process alive on their own
+  setTimeout(() => attemptDelivery(delivery), delay).unref();
+};
+
+/**
+ * Record a delivery in the log and send it
+ */
+const enqueueDelivery = ({ event, url, payload, owner = null, subscriptionId = null, replayOf = null }) => {
+  const delivery = {
+    id: crypto.randomUUID(),
+    event,
+    url,
+    owner,
+    subscriptionId,
+    replayOf,
+    state: 'pending',
+    createdAt: new Date().toISOString(),
+    deliveredAt: null,
+    nextAttemptAt: null,
+    attempts: [],
+    payload
+  };
+
+  deliveries.set(delivery.id, delivery);
+  persistDeliveries();
+  schedule(delivery);
+
+  return delivery;
+};
+
+// A null owner (API keys disabled) sees every subscription and delivery
+const isVisibleTo = (record, owner) => owner === null || record.owner === owner;
+
+/**
+ * Send an event to every subscription of the owner registered for it
+ */
+const emit = (event, payload, owner = null) => {
+  for (const subscription of subscriptions.values()) {
+    if (subscription.events.includes(event) && (subscription.owner || null) === owner) {
+      enqueueDelivery({ event, url: subscription.url, payload, owner, subscriptionId: subscription.id });
+    }
+  }
+};
+
+/**
+ * Send an event to a single callback URL given with a request
+ */
+const sendCallback = (url, event, payload, owner = null) => enqueueDelivery({ event, url, payload, owner });
+
+/**
+ * Validate and register a subscription. Returns { error } or { subscription } (with its secret).
+ */
+const createSubscription = ({ url, events, secret, description } = {}, owner = null) => {
+  if (!isValidTargetUrl(url)) {
+    return { error: 'Invalid url. Must be an http or https URL.' };
+  }
+
+  const wanted = events === undefined ? EVENTS : events;
+  if (!Array.isArray(wanted) || wanted.length === 0 || wanted.some(event => !EVENTS.includes(event))) {
+    return { error: `Invalid events. Must be a non-empty array of: ${EVENTS.join(', ')}.` };
+  }
+
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+    return { error: 'Invalid secret. Must be a string of at least 16 characters.' };
+  }
+
+  const subscription = {
+    id: crypto.randomUUID(),
+    url,
+    events: Array.from(new Set(wanted)),
+    secret: secret || crypto.randomBytes(32).toString('hex'),
+    description: typeof description === 'string' ? description : null,
+    owner,
+    createdAt: new Date().toISOString()
+  };
+
+  subscriptions.set(subscription.id, subscription);
+  persistSubscriptions();
+
+  return { subscription: toPublicSubscription(subscription, { showSecret: true }) };
+};
+
+const listSubscriptions = (owner = null) => Array.from(subscriptions.values())
+  .filter(subscription => isVisibleTo(subscription, owner))
+  .map(subscription => toPublicSubscription(subscription));
+
+/**
+ * Remove a subscription. Returns false if it does not exist or belongs to another owner.
+ */
+const deleteSubscription = (id, owner = null) => {
+  const subscription = subscriptions.get(id);
+  if (!subscription || !isVisibleTo(subscription, owner)) return false;
+
+  subscriptions.delete(id);
+  persistSubscriptions();
+  return true;
+};
+
+/**
+ * Query the delivery log, newest first
+ *
+ * Filters: event, state, subscriptionId, limit, owner
+ */
+const listDeliveries = ({ event, state, subscriptionId, limit = 50, owner = null } = {}) => Array.from(deliveries.values())
+  .filter(delivery => isVisibleTo(delivery, owner))
+  .filter(delivery => !event || delivery.event === event)
+  .filter(delivery => !state || delivery.state === state)
+  .filter(delivery => !subscriptionId || delivery.subscriptionId === subscriptionId)
+  .reverse()
+  .slice(0, limit)
+  .map(delivery => toPublicDelivery(delivery, { includePayload: false }));
+
+const getDelivery = (id, owner = null) => {
+  const delivery = deliveries.get(id);
+  return delivery && isVisibleTo(delivery, owner) ? toPublicDelivery(delivery) : null;
+};
+
+/**
+ * Send a logged delivery again as a new delivery.
+ * Returns { error, status } when it cannot be replayed, otherwise { delivery }.
+ */
+const replayDelivery = (id, owner = null) => {
+  const original = deliveries.get(id);
+  if (!original || !isVisibleTo(original, owner)) {
+    return { error: 'Delivery not found', status: 404 };
+  }
+  if (original.subscriptionId && !subscriptions.has(original.subscriptionId)) {
+    return { error: 'The subscription for this delivery has been deleted', status: 409 };
+  }
+
+  const delivery = enqueueDelivery({
+    event: original.event,
+    url: original.url,
+    payload: original.payload,
+    owner: original.owner || null,
+    subscriptionId: original.subscriptionId,
+    replayOf: original.id
+  });
+  return { delivery: toPublicDelivery(delivery, { includePayload: false }) };
+};
+
+/**
+ * Load subscriptions and the delivery log, and resume pending deliveries
+ */
+const init = () => {
+  store.readJson(SUBSCRIPTIONS_FILE, []).forEach(subscription => subscriptions.set(subscription.id, subscription));
+  store.readJson(DELIVERIES_FILE, []).forEach(delivery => deliveries.set(delivery.id, delivery));
+
+  const pending = Array.from(deliveries.values()).filter(delivery => delivery.state === 'pending');
+  if (pending.length > 0) {
+    console.log(`Resuming ${pending.length} pending webhook deliver${pending.length === 1 ? 'y' : 'ies'}`);
+  }
+  pending.forEach(schedule);
+};
+
+module.exports = {
+  EVENTS,
+  init,
+  isValidTargetUrl,
+  getCallbackSecret,
+  sign,
+  emit,
+  sendCallback,
+  createSubscription,
+  listSubscriptions,
+  deleteSubscription,
+  listDeliveries,
+  getDelivery,
+  replayDelivery
+};